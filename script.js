@@ -1,400 +1,1913 @@
 /**
- * @fileoverview This file contains the logic for the auction bidding process.
- * It handles, user and bot nominations, bidding, updates UI, and utilizes a
- * json file to insert player data.
+ * @fileoverview This file contains the browser UI for the auction bidding process.
+ * It handles user and bot nominations and bidding through the auction engine, updates
+ * the UI, and utilizes a json file to insert player data.
  * 
  * Dependencies:
- * - playerData.json (contains stats of all NBA players)
+ * - src/random.js (the seeded random generator, loaded as AuctionRandom)
+ * - src/values.js (player values, loaded as AuctionValues; used through the engine)
+ * - src/players.js (player data checks and CSV import, loaded as AuctionPlayers)
+ * - src/datasets.js (the player datasets listed in datasets.json, loaded as AuctionDatasets)
+ * - src/engine.js (the DOM-free auction engine, loaded as AuctionEngine)
+ * - src/leagues.js (team names and saved league profiles, loaded as AuctionLeagues)
+ * - datasets.json and the dataset files it lists (stats of all NBA players)
  * @package
  */
 
+// the players of the dataset the auction drafts from.
 let dataset;
 
 document.addEventListener("DOMContentLoaded", () => {
-    fetch('data.json')
+    fetch('datasets.json')
         .then(response => response.json())
-        .then(players => {
-            dataset = players;
-            const playerTableBody = document.getElementById('player-table-body');
-            players.forEach(player => {
-                const row = document.createElement('tr');
-                row.innerHTML = `
-                    <td><button class="nominate-button" data-player-id="${player.id}">+</button></td>
-                    <td>${player.player}</td>
-                    <td>${player.pos}</td>
-                    <td>${player.team}</td>
-                    <td>${player.ppg}</td>
-                    <td>${player.apg}</td>
-                    <td>${player.rpg}</td>
-                    <td>${player.fg_pct}</td>
-                    <td>${player.ft_pct}</td>
-                    <td>${player.bpg}</td>
-                    <td>${player.spg}</td>
-                    <td>${player.tos}</td>
-                `;
-                playerTableBody.appendChild(row);
-            });
+        .then(manifest => Promise.all((manifest.datasets || []).filter(entry => entry.file).map(entry =>
+            fetch(entry.file)
+                .then(response => response.json())
+                .then(data => [entry.file, data])))
+            .then(files => resolveDatasets(manifest, Object.fromEntries(files))))
+        .then(datasets => {
+            builtInDatasets = datasets;
+            datasetSelect.prepend(...datasets.map(({ id, name }) => new Option(name, id)));
+            datasetSelect.value = datasets[0].id;
+            useDataset(datasets[0]);
         })
-        .catch(error => console.error('Error fetching player data:', error));
+        .catch(error => {
+            console.error('Error fetching player data:', error);
+            const help = document.getElementById('dataset-help');
+            help.className = 'help is-danger';
+            help.innerText = error.message;
+        });
+
+    const { DEFAULT_RULES, RULE_PRESETS, TIE_BREAKERS, BOT_STRATEGIES, BOT_DIFFICULTIES, STAT_LABELS, PERCENT_STATS, SCORING_PRESETS, validateRules,
+            Participant, Auction, randomizeArray, calculateHeadToHeadPoints, calculateRotoPoints, rotoCategories,
+            playerPositions, rosterSlots, suggestedPrices, reservePrice } = AuctionEngine;
+    const { createRandom } = AuctionRandom;
+    const { importPlayers, poolSizeWarning } = AuctionPlayers;
+    const { DATASET_SCHEMA_VERSION, DATASET_KINDS, readDataset, resolveDatasets } = AuctionDatasets;
+    const { draftResults, draftReport, resultsToCSV, readDraftExport } = AuctionResults;
+    const { NAME_LENGTH, nameTeams, validateTeams, createLeagueProfile, readLeagueProfile } = AuctionLeagues;
 
-    const ROSTER_SIZE = 13;
-    const NOMINATION_TIME = 20;
-    const BIDDING_TIME = 20;
-    const TOTAL_BUDGET = 200;
-    const AI_WAIT = 1.4;
     const leagueSizeSelect = document.getElementById('league-size');
-    const livePlayersSelect = document.getElementById('live-players');
+    const presetSelect = document.getElementById('rules-preset');
+    const seedInput = document.getElementById('auction-seed');
     let leagueSize = 0;
-    let currentSortOrder = new Array(11).fill(false);
+    let rules = { ...DEFAULT_RULES };
+    let currentSortOrder = [];
+    // which standings the stats table shows: 'h2h' or 'roto'.
+    let standingsView = 'h2h';
+    let statsParticipants = [];
     let timer;
+    let turnTimeout;
+    // the scheduled end of the current turn, {callback, due}, and the one a pause is holding, {callback, remaining}.
+    let scheduledTurn = null;
+    let heldTurn = null;
+    // listens for a human's nomination clicks during their nomination turn.
+    let nominationHandler = null;
+    // ends an online bid turn once the server takes the bid or moves on; until then a rejected bid can be fixed.
+    let endOnlineBid = null;
+    let auction;
+    // whatever human nominations and bids are sent to: the local Auction, or the multiplayer server.
+    let controller;
+    let socket;
+    let onlineName = null;
+    const onlineParticipants = [];
+    // the lots the server has awarded, for the draft report.
+    let onlineHistory = [];
+    // pass-and-play: hide each human's bid from the others sharing the screen.
+    let privacyMode = false;
+    let humanOnScreen = null;
+    // the human whose watchlist and nomination queue the pool shows: whoever last had a turn on
+    // this screen, or this device's seat online, where only the queue is sent to the server.
+    let watcher = null;
+    let revealOpen = false;
+    let pendingTurn = null;
+    // the local auction is saved after every lot; online auctions live on the server instead.
+    const SAVE_KEY = 'blind-auction-save';
+    // saved league profiles, a list of them, and the one the setup form was last filled from.
+    const PROFILES_KEY = 'blind-auction-leagues';
+    let lastSave = null;
+    let auctionSeed = null;
+    // the ranked rosters of the finished auction, for the CSV, JSON and print exports.
+    let finalResults = null;
+    // a league between the setup form and the start of its auction: its participants, seeded generator and keepers.
+    let pendingLeague = null;
+    // each player's suggested price in the current league, by ID, once an auction has started.
+    let prices = null;
+    // the player pool's filters and sort. With no sort key the pool keeps the dataset's order.
+    const poolView = { search: '', position: '', team: '', minGames: 0, minMinutes: 0, hideDrafted: true, sortKey: null, descending: true };
+    // each player's row in the pool, by ID, and the players already nominated.
+    const playerRows = new Map();
+    const draftedIds = new Set();
+    const datasetSelect = document.getElementById('dataset-select');
+    // the datasets listed in datasets.json, the projections the user uploaded, and the one being drafted.
+    let builtInDatasets = null;
+    let uploadedDataset = null;
+    let selectedDataset = null;
 
     /**
-     * Represents a participant in the auction, either a human or an AI.
-     * 
-     * This class manages the participant's bidding, budget, and roster,
-     * along with their cumulative statistics. Participants can place bids,
-     * winning bids adds players to their roster, and their performance is tracked 
-     * during the auction.
-     * 
-     * @class
-     */
-    class Participant {
-        /**
-         * Creates an instance of Participant.
-         * 
-         * @param {string} name - The name of the participant.
-         * @param {boolean} [isAi=false] - Indicates if the participant is an AI.
-         */
-        constructor(name, isAi = false) {
-            this.name = name;
-            this.spent = 0;
-            this.draftees = 0;
-            this.budget = TOTAL_BUDGET;
-            this.roster = [];
-            this.currentBid = 0;
-            this.rank = 0;
-            this.aggression = this.assignAggression();
-            this.isAi = isAi;
-
-            this.cumulativeStats = {
-                fg_pct: 0.0,
-                ft_pct: 0.0,
-                ppg: 0,
-                apg: 0,
-                rpg: 0,
-                three_p: 0,
-                spg: 0,
-                bpg: 0,
-                tos: 0,
-            };
+     * Toggles the visibility of the roster and stats containers based on the state of the toggle switch.
+     * 
+     * When the toggle switch is checked, the roster container is hidden, and the stats container is displayed.
+     * When unchecked, the roster container is shown, and the stats container is hidden.
+     * 
+     * @event change
+     * @param {Event} event - The change event triggered by the toggle switch.
+     */
+    document.getElementById('toggle-switch').addEventListener('change', function() {
+        const rosterContainer = document.getElementById('roster-container');
+        const statsContainer = document.getElementById('stats-container');
 
-            this.otherStats = {
-                fga: 0,
-                fgm: 0,
-                fta: 0,
-                ftm: 0,
-            };
-        }
 
-        /**
-         * Determines approximately the biggest amount a bot will bid on any player.
-         * 
-         * @returns {number} A randomly assigned maximum bid.
-         */
-        assignAggression() {
-            const aggressionLevels = [43, 55, 65, 72];
-            const rand = Math.floor(Math.random() * aggressionLevels.length);
-            return aggressionLevels[rand];
+        if (this.checked) {
+            rosterContainer.style.display = 'none';
+            statsContainer.style.display = 'block';
+        } else {
+            rosterContainer.style.display = 'block';
+            statsContainer.style.display = 'none';
         }
+    });
+
+
+    document.querySelectorAll('#standings-tabs li').forEach(tab => {
+        tab.addEventListener('click', () => {
+            standingsView = tab.dataset.view;
+            document.querySelectorAll('#standings-tabs li').forEach(other => other.classList.toggle('is-active', other === tab));
+            initializeStatsTable(statsParticipants);
+        });
+    });
+
+
+    seedInput.value = new URLSearchParams(window.location.search).get('seed') || '';
+
+    // team names, owners and uploaded player data are typed by users, so escape them before they go into innerHTML.
+    function escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[character]);
+    }
 
-        get playersLeft() {
-            return ROSTER_SIZE - this.draftees;
+
+    leagueSizeSelect.addEventListener('change', function() {
+        renderTeamList(readTeams());
+        showPoolWarning();
+    });
+
+    // warns on the setup form when the player pool is too small to fill every roster.
+    function showPoolWarning() {
+        const help = document.getElementById('pool-help');
+        const rosterSize = Number(document.getElementById('roster-size').value);
+        const warning = dataset && leagueSizeSelect.value ? poolSizeWarning(dataset.length, parseInt(leagueSizeSelect.value), rosterSize) : null;
+        help.className = 'help is-warning';
+        help.innerText = warning || '';
+    }
+
+    /**
+     * Switches the auction to a dataset. The player pool, suggested prices, nominee panel,
+     * final stats and bots all use its players.
+     *
+     * @param {Object} selected - The dataset, from datasets.json, an upload, a save or the server.
+     */
+    function useDataset(selected) {
+        selectedDataset = selected;
+        dataset = selected.players;
+        prices = null;
+        playerRows.clear();
+        draftedIds.clear();
+
+        const playerTableBody = document.getElementById('player-table-body');
+        playerTableBody.innerHTML = '';
+        dataset.forEach(player => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>
+                    <button class="nominate-button" data-player-id="${player.id}">+</button>
+                    <button class="watch-button" data-player-id="${player.id}" title="Watch">&#9734;</button>
+                    <button class="queue-button" data-player-id="${player.id}" title="Add to your nomination queue">Q</button>
+                </td>
+                <td>${escapeHTML(player.player)}</td>
+                <td>${escapeHTML(player.pos)}</td>
+                <td>${escapeHTML(player.team)}</td>
+                <td class="suggested-price">-</td>
+                <td>${player.ppg}</td>
+                <td>${player.apg}</td>
+                <td>${player.rpg}</td>
+                <td>${player.fg_pct}</td>
+                <td>${player.ft_pct}</td>
+                <td>${player.bpg}</td>
+                <td>${player.spg}</td>
+                <td>${player.tos}</td>
+            `;
+            playerRows.set(player.id, row);
+            playerTableBody.appendChild(row);
+        });
+
+        const teamSelect = document.getElementById('pool-team');
+        teamSelect.options.length = 1;
+        [...new Set(dataset.map(player => player.team))].sort().forEach(team => teamSelect.add(new Option(team, team)));
+        poolView.team = '';
+        renderPool();
+
+        const help = document.getElementById('dataset-help');
+        help.className = 'help has-text-grey-light';
+        help.innerText = `${DATASET_KINDS[selected.kind].label}: ${selected.season}, ${dataset.length} players.`;
+        showPoolWarning();
+    }
+
+
+    datasetSelect.addEventListener('change', function() {
+        const upload = datasetSelect.value === 'upload';
+        document.getElementById('dataset-upload').classList.toggle('hidden', !upload);
+        const selected = upload ? uploadedDataset : builtInDatasets.find(({ id }) => id === datasetSelect.value);
+        if (selected) {
+            useDataset(selected);
+        } else if (selectedDataset) {
+            document.getElementById('dataset-help').innerText = `Choose a projections file. Until then, ${selectedDataset.name} is used.`;
         }
+    });
 
-        get maxBid() {
-            return this.budget - this.spent - this.playersLeft;
+    /**
+     * Reads an uploaded projections file: a dataset or list of players as JSON, or a
+     * Basketball-Reference style CSV.
+     *
+     * @event change
+     */
+    document.getElementById('dataset-file').addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) {
+            return;
         }
+        const name = file.name.replace(/\.[^.]*$/, '');
 
+        file.text()
+            .then(text => {
+                if (/\.csv$/i.test(file.name)) {
+                    return { schemaVersion: DATASET_SCHEMA_VERSION, name, season: 'Uploaded', kind: 'projection', players: importPlayers(text) };
+                }
+                return readDataset(JSON.parse(text), { name, season: 'Uploaded', kind: 'projection' });
+            })
+            .then(uploaded => {
+                uploadedDataset = uploaded;
+                useDataset(uploaded);
+            })
+            .catch(error => {
+                const help = document.getElementById('dataset-help');
+                help.className = 'help is-danger';
+                help.innerText = error instanceof SyntaxError ? 'That file is not valid JSON.' : error.message;
+            });
+    });
 
-        addPlayer(id, bidAmount) {
-            this.draftees++;
-            const player = dataset.find(player => player.id === id);
-            this.roster.push({player, bid: bidAmount});
-            this.updateCumulativeStats(player);
+    /**
+     * Lists a row for every team the league will have: its name, its owner, and whether a real
+     * player or a bot drafts for it, with the bot's personality and difficulty. Teams already
+     * filled in keep what they had; new seats are bots, apart from the first.
+     * 
+     * @param {Array<Object>} teams - The teams to fill the rows with, in seat order.
+     */
+    function renderTeamList(teams) {
+        const teamCount = parseInt(leagueSizeSelect.value) || 0;
+        const teamList = document.getElementById('team-list');
+        teamList.innerHTML = '';
+        document.getElementById('team-settings').classList.toggle('hidden', teamCount <= 0);
+        document.getElementById('teams-help').innerText = '';
+
+        for (let i = 0; i < teamCount; i++) {
+            const row = document.createElement('div');
+            row.className = 'field is-grouped is-grouped-multiline team-row';
+            row.innerHTML = `
+                <div class="control">
+                    <input type="text" class="input is-small team-name" maxlength="${NAME_LENGTH}" placeholder="Team ${i + 1}" aria-label="Team ${i + 1} name">
+                </div>
+                <div class="control">
+                    <input type="text" class="input is-small team-owner" maxlength="${NAME_LENGTH}" placeholder="Owner" aria-label="Team ${i + 1} owner">
+                </div>
+                <div class="control">
+                    <div class="select is-small">
+                        <select class="team-kind" aria-label="Team ${i + 1} drafted by">
+                            <option value="human">Real player</option>
+                            <option value="bot">Bot</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="control bot-options">
+                    <div class="select is-small">
+                        <select class="bot-strategy" aria-label="Team ${i + 1} personality">
+                            ${Object.entries(BOT_STRATEGIES).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="control bot-options">
+                    <div class="select is-small">
+                        <select class="bot-difficulty" aria-label="Team ${i + 1} difficulty">
+                            ${Object.entries(BOT_DIFFICULTIES).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+            `;
+            const { name = '', owner = '', isAi = i > 0, strategy = 'balanced', difficulty = 'normal' } = teams[i] || {};
+            row.querySelector('.team-name').value = name;
+            row.querySelector('.team-owner').value = owner;
+            row.querySelector('.team-kind').value = isAi ? 'bot' : 'human';
+            row.querySelector('.bot-strategy').value = strategy;
+            row.querySelector('.bot-difficulty').value = difficulty;
+            showBotOptions(row);
+            teamList.appendChild(row);
         }
+    }
 
 
-        updateCumulativeStats(player) {
-            this.cumulativeStats.ppg += player.ppg || 0;
-            this.cumulativeStats.apg += player.apg || 0;
-            this.cumulativeStats.rpg += player.rpg || 0;
-            this.cumulativeStats.three_p += player.three_p || 0;
-            this.cumulativeStats.spg += player.spg || 0;
-            this.cumulativeStats.bpg += player.bpg || 0;
-            this.cumulativeStats.tos += player.tos || 0;
-            this.otherStats.fga += player.fga || 0;
-            this.otherStats.fta += player.fta || 0;
+    function showBotOptions(row) {
+        const isAi = row.querySelector('.team-kind').value === 'bot';
+        row.querySelectorAll('.bot-options').forEach(control => control.classList.toggle('hidden', !isAi));
+    }
 
 
-            this.calculateMakes(player.fga, player.fg_pct, 'fgm');
-            this.calculateMakes(player.fta, player.ft_pct, 'ftm');
-            this.cumulativeStats.fg_pct = this.calculatePct(this.otherStats.fgm, this.otherStats.fga);
-            this.cumulativeStats.ft_pct = this.calculatePct(this.otherStats.ftm, this.otherStats.fta);
+    document.getElementById('team-list').addEventListener('change', event => {
+        if (event.target.matches('.team-kind')) {
+            showBotOptions(event.target.closest('.team-row'));
         }
+    });
+
+
+    // the teams as the setup form has them, in seat order; names are as typed, possibly blank.
+    function readTeams() {
+        return Array.from(document.querySelectorAll('#team-list .team-row'), row => ({
+            name: row.querySelector('.team-name').value,
+            owner: row.querySelector('.team-owner').value,
+            isAi: row.querySelector('.team-kind').value === 'bot',
+            strategy: row.querySelector('.bot-strategy').value,
+            difficulty: row.querySelector('.bot-difficulty').value,
+        }));
+    }
+
+    /**
+     * Reads the teams from the setup form, naming the unnamed ones, and shows what is wrong with them.
+     * 
+     * @returns {Array<Object>|null} - The teams, or null when they cannot be used.
+     */
+    function readNamedTeams() {
+        const teams = nameTeams(readTeams());
+        const errors = validateTeams(teams);
+        document.getElementById('teams-help').innerText = errors.join(' ');
+        return errors.length > 0 ? null : teams;
+    }
 
-        calculateMakes(attempts, pct, key) {
-            if (pct != null) {
-                this.otherStats[key] += pct * (attempts || 0) / 100;
+    /**
+     * Reads the saved league profiles. Profiles that can no longer be used are left out.
+     * 
+     * @returns {Array<Object>} - The profiles, by name.
+     */
+    function loadProfiles() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+        return (Array.isArray(saved) ? saved : []).flatMap(data => {
+            try {
+                return [readLeagueProfile(data)];
+            } catch (error) {
+                console.warn(error.message);
+                return [];
             }
+        });
+    }
+
+
+    function renderProfiles(selected = '') {
+        const profileSelect = document.getElementById('league-profile');
+        profileSelect.options.length = 1;
+        loadProfiles().forEach(({ name }) => profileSelect.add(new Option(name, name)));
+        profileSelect.value = selected;
+        document.getElementById('delete-profile').disabled = !profileSelect.value;
+    }
+
+
+    function showProfileStatus(message, isError = false) {
+        const help = document.getElementById('profile-help');
+        help.className = isError ? 'help is-danger' : 'help has-text-grey-light';
+        help.innerText = message;
+    }
+
+
+    renderProfiles();
+
+    /**
+     * Fills the setup form from the league profile picked: its teams, owners, seats and rules.
+     * 
+     * @event change
+     */
+    document.getElementById('league-profile').addEventListener('change', function() {
+        document.getElementById('delete-profile').disabled = !this.value;
+        const profile = loadProfiles().find(({ name }) => name === this.value);
+        if (!profile) {
+            return;
         }
 
-        calculatePct(makes, attempts) {
-            return attempts > 0 ? (makes / attempts) * 100 : 0;
+        leagueSizeSelect.value = profile.teams.length;
+        renderTeamList(profile.teams);
+        fillRuleInputs(profile.rules);
+        fillReserveInput(profile.rules.reserves);
+        matchRulePreset();
+        showRuleErrors({});
+        document.getElementById('profile-name').value = profile.name;
+        showProfileStatus(`Loaded ${profile.name}.`);
+    });
+
+    /**
+     * Saves the teams and rules on the setup form as a league profile, replacing any profile
+     * with the same name.
+     * 
+     * @event click
+     */
+    document.getElementById('save-profile').addEventListener('click', function() {
+        const name = document.getElementById('profile-name').value.trim();
+        const { values, errors } = readRules();
+        showRuleErrors(errors);
+        const teams = readNamedTeams();
+        if (!name) {
+            showProfileStatus('Give the league a name to save it.', true);
+            return;
         }
+        if (!teams || Object.keys(errors).length > 0) {
+            showProfileStatus('Fix the teams and rules above to save the league.', true);
+            return;
+        }
+
+        const profile = createLeagueProfile(name, teams, values);
+        const profiles = loadProfiles().filter(other => other.name.toLowerCase() !== name.toLowerCase());
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles, profile].sort((a, b) => a.name.localeCompare(b.name))));
+        } catch (error) {
+            showProfileStatus(`The league could not be saved: ${error.message}`, true);
+            return;
+        }
+        renderProfiles(profile.name);
+        showProfileStatus(`Saved ${profile.name}.`);
+    });
 
-        adjustBudget() {
-            return this.maxBid;
+
+    document.getElementById('delete-profile').addEventListener('click', function() {
+        const name = document.getElementById('league-profile').value;
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(loadProfiles().filter(profile => profile.name !== name)));
+        renderProfiles();
+        showProfileStatus(`Deleted ${name}.`);
+    });
+
+
+    const RULE_INPUTS = {
+        rosterSize: 'roster-size',
+        totalBudget: 'total-budget',
+        nominationTime: 'nomination-time',
+        biddingTime: 'bidding-time',
+        aiWait: 'ai-wait',
+        minimumBid: 'minimum-bid',
+        bidIncrement: 'bid-increment',
+    };
+    const priceRuleSelect = document.getElementById('price-rule');
+    const tieBreakerSelects = Array.from(document.querySelectorAll('.tie-breaker'));
+    const slotInputs = Array.from(document.querySelectorAll('.slot-count'));
+    const scoringSelect = document.getElementById('scoring-preset');
+    const categoryInputs = Array.from(document.querySelectorAll('.scoring-category'));
+    const lowerInputs = Array.from(document.querySelectorAll('.scoring-lower'));
+    const weightInputs = Array.from(document.querySelectorAll('.scoring-weight'));
+
+
+    presetSelect.addEventListener('change', function() {
+        if (RULE_PRESETS[presetSelect.value]) {
+            fillRuleInputs(RULE_PRESETS[presetSelect.value]);
+            showRuleErrors({});
         }
+    });
+
 
-        placeBid(amount) {
-            if (amount <= this.maxBid) {
-                this.currentBid = amount;
-                return true;
+    const ruleInputIds = [
+        ...Object.values(RULE_INPUTS),
+        'price-rule',
+        ...tieBreakerSelects.map(select => select.id),
+        ...slotInputs.map(input => input.id),
+    ];
+    ruleInputIds.forEach(inputId => {
+        document.getElementById(inputId).addEventListener('input', matchRulePreset);
+    });
+    document.getElementById('roster-size').addEventListener('input', showPoolWarning);
+    [...categoryInputs, ...lowerInputs, ...weightInputs].forEach(input => {
+        input.addEventListener('input', () => {
+            if (scoringSelect.value !== 'points') {
+                scoringSelect.value = scoringPresetName(readScoring());
             }
-            return false;
+            matchRulePreset();
+        });
+    });
+    scoringSelect.addEventListener('change', () => {
+        if (SCORING_PRESETS[scoringSelect.value]) {
+            fillScoringInputs(SCORING_PRESETS[scoringSelect.value]);
         }
+        showScoringOptions();
+        matchRulePreset();
+    });
+
 
-        resetBid() {
-            this.currentBid = 0;
+    function matchRulePreset() {
+        const { values } = readRules();
+        showBenchSummary(values);
+        const matchingPreset = Object.keys(RULE_PRESETS).find(preset =>
+            Object.keys(values).filter(key => key !== 'reserves').every(key => JSON.stringify(RULE_PRESETS[preset][key]) === JSON.stringify(values[key])));
+        presetSelect.value = matchingPreset || 'custom';
+    }
+
+
+    function fillRuleInputs(preset) {
+        Object.entries(RULE_INPUTS).forEach(([key, inputId]) => {
+            document.getElementById(inputId).value = preset[key];
+        });
+        priceRuleSelect.value = preset.priceRule;
+        tieBreakerSelects.forEach((select, i) => {
+            select.value = preset.tieBreakers[i] || '';
+        });
+        slotInputs.forEach(input => {
+            input.value = preset.slots[input.dataset.slot] || 0;
+        });
+        fillScoringInputs(preset.scoring);
+        showBenchSummary(preset);
+        showPoolWarning();
+    }
+
+
+    function fillScoringInputs(scoring) {
+        scoringSelect.value = scoringPresetName(scoring);
+        if (scoring.type === 'points') {
+            weightInputs.forEach(input => {
+                input.value = scoring.weights[input.dataset.stat] || 0;
+            });
+        } else {
+            categoryInputs.forEach(input => {
+                input.checked = scoring.categories.some(({ stat }) => stat === input.dataset.stat);
+            });
+            lowerInputs.forEach(input => {
+                input.checked = scoring.categories.some(({ stat, lowerIsBetter }) => stat === input.dataset.stat && lowerIsBetter);
+            });
         }
+        showScoringOptions();
+    }
+
+
+    function showScoringOptions() {
+        const isPoints = scoringSelect.value === 'points';
+        document.getElementById('category-options').classList.toggle('hidden', isPoints);
+        document.getElementById('points-options').classList.toggle('hidden', !isPoints);
     }
 
     /**
-     * Toggles the visibility of the roster and stats containers based on the state of the toggle switch.
+     * Names the scoring preset a config matches, so the scoring select can follow edits
+     * to the categories.
+     *
+     * @param {Object} scoring - The scoring config.
+     * @returns {string} - The key of the matching SCORING_PRESETS entry, 'points' for any
+     *                     points league, or 'customCategories'.
+     */
+    function scoringPresetName(scoring) {
+        if (scoring.type === 'points') {
+            return 'points';
+        }
+        const preset = Object.keys(SCORING_PRESETS).find(key => JSON.stringify(SCORING_PRESETS[key]) === JSON.stringify(scoring));
+        return preset || 'customCategories';
+    }
+
+
+    function readScoring() {
+        if (scoringSelect.value === 'points') {
+            const weights = {};
+            weightInputs.forEach(input => {
+                const raw = input.value.trim();
+                weights[input.dataset.stat] = raw === '' ? NaN : Number(raw);
+            });
+            return { type: 'points', weights };
+        }
+        return {
+            type: 'categories',
+            categories: categoryInputs.filter(input => input.checked).map(input => ({
+                stat: input.dataset.stat,
+                lowerIsBetter: lowerInputs.find(lower => lower.dataset.stat === input.dataset.stat).checked,
+            })),
+        };
+    }
+
+
+    function showBenchSummary(values) {
+        const starters = Object.values(values.slots).reduce((sum, count) => sum + count, 0);
+        const bench = values.rosterSize - starters;
+        document.getElementById('bench-summary').innerText =
+            Number.isInteger(bench) && bench >= 0 ? `Plus ${bench} bench spot${bench === 1 ? '' : 's'}.` : '';
+    }
+
+
+    showBenchSummary(readRules().values);
+
+    /**
+     * Reads the league rules from the settings form and validates them with the engine.
      * 
-     * When the toggle switch is checked, the roster container is hidden, and the stats container is displayed.
-     * When unchecked, the roster container is shown, and the stats container is hidden.
+     * @returns {{values: Object, errors: Object<string, string>}} - The parsed rules, and an error
+     *                                                               message for every rule that is invalid.
+     */
+    function readRules() {
+        const values = {};
+
+        Object.entries(RULE_INPUTS).forEach(([key, inputId]) => {
+            const raw = document.getElementById(inputId).value.trim();
+            values[key] = raw === '' ? NaN : Number(raw);
+        });
+        values.priceRule = priceRuleSelect.value;
+        values.tieBreakers = tieBreakerSelects.map(select => select.value).filter(Boolean);
+        values.slots = {};
+        slotInputs.forEach(input => {
+            const raw = input.value.trim();
+            values.slots[input.dataset.slot] = raw === '' ? NaN : Number(raw);
+        });
+        values.scoring = readScoring();
+        const { reserves, unknown } = readReserves();
+        values.reserves = reserves;
+
+        const errors = validateRules(values);
+        if (unknown.length > 0) {
+            errors.reserves = `${unknown[0]} is not in the player pool.`;
+        }
+        return { values, errors };
+    }
+
+    /**
+     * Reads the reserve prices, one `Player: price` line each, matching the names against the player pool.
+     *
+     * @returns {{reserves: Object<number, number>, unknown: Array<string>}} - The reserve prices by player
+     *                                                                        ID, and the names not in the pool.
+     */
+    function readReserves() {
+        const reserves = {};
+        const unknown = [];
+        document.getElementById('reserve-prices').value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const [, name, price] = line.match(/^(.*?)\s*[:,]\s*\$?([^:,]*)$/) || [null, line, ''];
+            const player = (dataset || []).find(candidate => searchText(candidate.player) === searchText(name));
+            if (player) {
+                reserves[player.id] = price.trim() === '' ? NaN : Number(price);
+            } else {
+                unknown.push(name);
+            }
+        });
+        return { reserves, unknown };
+    }
+
+
+    function fillReserveInput(reserves = {}) {
+        document.getElementById('reserve-prices').value = Object.entries(reserves)
+            .map(([id, price]) => [(dataset || []).find(player => player.id === Number(id)), price])
+            .filter(([player]) => player)
+            .map(([player, price]) => `${player.player}: ${price}`)
+            .join('\n');
+    }
+
+
+    function showRuleErrors(errors) {
+        Object.entries(RULE_INPUTS).forEach(([key, inputId]) => {
+            const input = document.getElementById(inputId);
+            const help = document.getElementById(`${inputId}-help`);
+            input.classList.toggle('is-danger', Boolean(errors[key]));
+            help.innerText = errors[key] || '';
+        });
+        tieBreakerSelects.forEach(select => select.parentElement.classList.toggle('is-danger', Boolean(errors.tieBreakers)));
+        document.getElementById('tie-breakers-help').innerText = errors.tieBreakers || '';
+        slotInputs.forEach(input => input.classList.toggle('is-danger', Boolean(errors.slots)));
+        document.getElementById('slots-help').innerText = errors.slots || '';
+        document.getElementById('scoring-help').innerText = errors.scoring || '';
+        document.getElementById('reserve-prices').classList.toggle('is-danger', Boolean(errors.reserves));
+        document.getElementById('reserve-prices-help').innerText = errors.reserves || '';
+    }
+
+    /**
+     * Handles the submission of the auction settings form.
+     * 
+     * This function takes the league settings input by the user and initializes them. This includes the teams,
+     * their owners, which ones bots draft for, the roster size, budget and timers, and the seed that
+     * every random choice in the auction is drawn from. It generates the nomination order, and then moves
+     * on to the keepers step.
+     * 
+     * @param {Event} event - The submit event triggered by the form.
+     */
+    document.getElementById('auction-settings').addEventListener('submit', function(event) {
+        event.preventDefault();
+
+
+        const { values, errors } = readRules();
+        showRuleErrors(errors);
+        const teams = readNamedTeams();
+        if (Object.keys(errors).length > 0 || !teams || !selectedDataset) {
+            return;
+        }
+
+        rules = values;
+        leagueSize = teams.length;
+        const realPlayersCount = teams.filter(team => !team.isAi).length;
+        const random = createRandom(seedInput.value.trim());
+        showSeed(random.seed);
+        setPrivacyMode(document.getElementById('privacy-mode').checked && realPlayersCount > 1);
+
+
+        document.getElementById('settings-form').classList.add('hidden');
+
+        const orderingParticipants = teams.map(({ name, owner, isAi, strategy, difficulty }) => {
+            const participant = new Participant(name, isAi, rules, random);
+            participant.owner = owner;
+            return isAi ? Object.assign(participant, { strategy, difficulty }) : participant;
+        });
+        const participants = randomizeArray(orderingParticipants, random);
+
+
+        showKeepersStep(participants, random);
+    });
+
+    /**
+     * Shows the keepers step for a league that has been set up but not started.
+     * 
+     * @param {Array<Participant>} participants - The participants, in nomination order.
+     * @param {Object} random - The seeded generator the auction will draw from.
+     */
+    function showKeepersStep(participants, random) {
+        pendingLeague = { participants, random, keepers: [] };
+
+        const teamSelect = document.getElementById('keeper-team');
+        teamSelect.innerHTML = '';
+        [...participants].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true })).forEach(({ name }) => {
+            teamSelect.add(new Option(name, name));
+        });
+        const playerList = document.getElementById('keeper-players');
+        playerList.innerHTML = '';
+        dataset.forEach(player => {
+            playerList.appendChild(new Option(`${player.pos} ${player.team}`, player.player));
+        });
+        document.querySelectorAll('#keepers-step .keeper-price').forEach(input => {
+            input.min = rules.minimumBid;
+        });
+        document.getElementById('keeper-price').value = rules.minimumBid;
+
+        renderKeepers();
+        document.getElementById('keepers-step').classList.remove('hidden');
+    }
+
+    /**
+     * Puts every ticked keeper on its team in a pending auction.
+     * 
+     * @param {Auction} league - The auction, before it starts.
+     * @param {Array<{team: string, playerId: number, price: number, kept: boolean}>} keepers - The keeper list.
+     * @returns {Array<string>} - Why each keeper that could not be added was turned down.
+     */
+    function applyKeepers(league, keepers) {
+        return keepers.filter(keeper => keeper.kept).map(({ team, playerId, price }) => {
+            const participant = league.participants.find(({ name }) => name === team);
+            return league.addKeeper(participant, playerId, price);
+        }).filter(error => error !== null);
+    }
+
+    // checks the keeper list on copies of the teams, so the real ones stay empty until the auction starts.
+    function keeperErrors() {
+        const { participants, keepers } = pendingLeague;
+        const copies = participants.map(participant => Participant.fromJSON(participant.toJSON(), dataset, rules));
+        return applyKeepers(new Auction(copies, dataset, rules), keepers);
+    }
+
+
+    function renderKeepers() {
+        const { keepers } = pendingLeague;
+        const list = document.getElementById('keeper-list');
+        list.innerHTML = '';
+        keepers.forEach((keeper, index) => {
+            const player = dataset.find(({ id }) => id === keeper.playerId);
+            const row = list.insertRow();
+            row.insertCell().innerText = keeper.team;
+            row.insertCell().innerText = `${player.player} (${player.pos})`;
+
+            const price = document.createElement('input');
+            Object.assign(price, { type: 'number', className: 'input is-small keeper-price', min: rules.minimumBid, step: 1, value: keeper.price });
+            price.dataset.index = index;
+            row.insertCell().appendChild(price);
+
+            const kept = document.createElement('input');
+            Object.assign(kept, { type: 'checkbox', className: 'keeper-kept', checked: keeper.kept });
+            kept.dataset.index = index;
+            row.insertCell().appendChild(kept);
+
+            const remove = document.createElement('button');
+            Object.assign(remove, { type: 'button', className: 'delete keeper-remove', title: 'Remove' });
+            remove.dataset.index = index;
+            row.insertCell().appendChild(remove);
+        });
+        document.getElementById('keepers-empty').classList.toggle('hidden', keepers.length > 0);
+        document.getElementById('keeper-help').innerText = keeperErrors().join(' ');
+    }
+
+
+    document.getElementById('keeper-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const name = searchText(document.getElementById('keeper-player').value.trim());
+        const player = dataset.find(candidate => searchText(candidate.player) === name);
+        if (!player) {
+            document.getElementById('keeper-help').innerText = 'Pick a player from the list.';
+            return;
+        }
+
+        pendingLeague.keepers.push({
+            team: document.getElementById('keeper-team').value,
+            playerId: player.id,
+            price: parseInt(document.getElementById('keeper-price').value),
+            kept: true,
+        });
+        document.getElementById('keeper-player').value = '';
+        renderKeepers();
+    });
+
+
+    document.getElementById('keeper-list').addEventListener('change', event => {
+        const keeper = pendingLeague.keepers[event.target.dataset.index];
+        if (!keeper) {
+            return;
+        }
+        if (event.target.classList.contains('keeper-price')) {
+            keeper.price = parseInt(event.target.value);
+        } else if (event.target.classList.contains('keeper-kept')) {
+            keeper.kept = event.target.checked;
+        }
+        renderKeepers();
+    });
+
+
+    document.getElementById('keeper-list').addEventListener('click', event => {
+        if (event.target.classList.contains('keeper-remove')) {
+            pendingLeague.keepers.splice(Number(event.target.dataset.index), 1);
+            renderKeepers();
+        }
+    });
+
+    /**
+     * Lists the picks in last year's draft export as keepers, unticked, at the price each
+     * player went for. Picks are matched to this year's teams by name and to players by ID,
+     * or by name when the ID is not in the player data.
      * 
      * @event change
-     * @param {Event} event - The change event triggered by the toggle switch.
      */
-    document.getElementById('toggle-switch').addEventListener('change', function() {
-        const rosterContainer = document.getElementById('roster-container');
-        const statsContainer = document.getElementById('stats-container');
+    document.getElementById('keeper-import').addEventListener('change', function() {
+        const file = this.files[0];
+        const help = document.getElementById('keeper-help');
+        if (!file) {
+            return;
+        }
 
+        file.text()
+            .then(text => {
+                let picks;
+                try {
+                    picks = readDraftExport(text);
+                } catch (error) {
+                    help.innerText = error.message;
+                    return;
+                }
 
-        if (this.checked) {
-            rosterContainer.style.display = 'none';
-            statsContainer.style.display = 'block';
-        } else {
-            rosterContainer.style.display = 'block';
-            statsContainer.style.display = 'none';
+                const { participants, keepers } = pendingLeague;
+                const skipped = [];
+                picks.forEach(pick => {
+                    const player = dataset.find(({ id }) => id === pick.playerId) ||
+                                   dataset.find(candidate => searchText(candidate.player) === searchText(pick.player));
+                    if (!player || !participants.some(({ name }) => name === pick.team)) {
+                        skipped.push(pick.player);
+                        return;
+                    }
+                    if (!keepers.some(keeper => keeper.team === pick.team && keeper.playerId === player.id)) {
+                        keepers.push({ team: pick.team, playerId: player.id, price: pick.price, kept: false });
+                    }
+                });
+                renderKeepers();
+                if (skipped.length > 0) {
+                    help.innerText = `${skipped.length} pick${skipped.length === 1 ? ' was' : 's were'} left out, because the team or player is not in this league: ${skipped.join(', ')}.`;
+                }
+            })
+            .catch(error => console.error('Error reading the draft export:', error));
+    });
+
+
+    document.getElementById('start-with-keepers').addEventListener('click', () => {
+        const errors = keeperErrors();
+        if (errors.length > 0) {
+            document.getElementById('keeper-help').innerText = errors.join(' ');
+            return;
         }
+
+        const { participants, random, keepers } = pendingLeague;
+        pendingLeague = null;
+        document.getElementById('keepers-step').classList.add('hidden');
+        document.getElementById('auction-interface').classList.remove('hidden');
+        startAuction(participants, random, keepers);
     });
 
+    /**
+     * Shows the auction's seed in the UI and puts it in the URL, so reloading the page or
+     * sharing the link in a bug report replays the same auction.
+     * 
+     * @param {string} seed - The seed the auction was started with.
+     */
+    function showSeed(seed) {
+        auctionSeed = seed;
+        document.getElementById('seed-display').innerText = `Seed: ${seed}`;
 
-    leagueSizeSelect.addEventListener('change', function() {
-        const selectedLeagueSize = parseInt(leagueSizeSelect.value);
-        livePlayersSelect.innerHTML = '';
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', seed);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+    }
+
+
+    /**
+     * Starts the auction process for the given array of participants.
+     * 
+     * This function hands the participants to an engine Auction, puts their keepers on their
+     * rosters and runs it. The auction runs through each round of nominations until each roster is full.
+     * 
+     * @param {Array<Participant>} array - An array of Participant objects 
+     *                                      representing the auction participants.
+     * @param {Object} random - The seeded generator the auction draws from.
+     * @param {Array<Object>} [keepers=[]] - The keepers from the keepers step.
+     */
+    function startAuction(array, random, keepers = []) {
+        const localAuction = new Auction(array, dataset, rules, random);
+        applyKeepers(localAuction, keepers);
+        runAuction(localAuction);
+    }
 
+    /**
+     * Renders a local auction, new or resumed, and starts it.
+     * 
+     * This function initializes the draft and stats tables, then renders the auction's events. It
+     * handles timers for both human and AI participants, updates the tables after each lot is
+     * awarded and saves the auction after every lot so it can be resumed after a reload.
+     * 
+     * @param {Auction} localAuction - The auction to run.
+     */
+    function runAuction(localAuction) {
+        const array = localAuction.participants;
+        auction = localAuction;
+        controller = auction;
+        showSuggestedPrices(array.length);
+        initializeDraftTable(array);
+        initializeStatsTable(array);
+        if (localAuction.nominatedIds.size > 0) {
+            updateStatsTable(array);
+            updateDraftTable(array);
+            localAuction.nominatedIds.forEach(markDrafted);
+        }
 
-        if (selectedLeagueSize) {
-            for (let i = 0; i <= selectedLeagueSize; i++) {
-                const option = document.createElement('option');
-                option.value = i;
-                option.textContent = i;
-                livePlayersSelect.appendChild(option);
+        renderHistory(localAuction.history);
+
+        setWatcher(array.find(participant => !participant.isAi) || null);
+        auction.on('turn', handleTurn);
+        auction.on('nomination', ({ player }) => handleNomination(player));
+        auction.on('award', ({ winner, player, price, bids, record }) => {
+            saveAuction();
+            addHistoryRecord(record);
+            updateStatsTable(array);
+            updateDraftTable(array);
+            document.getElementById('bid-input').value = 0;
+
+            const award = {
+                winner: winner.name,
+                playerId: player.id,
+                price,
+                bids: bids.map(({ participant, amount }) => ({ name: participant.name, amount })),
+                record,
+            };
+            showLotResults(describeAward(award));
+            if (privacyMode) {
+                showBidReveal(award);
             }
+        });
+        auction.on('complete', () => {
+            clearSavedAuction();
+            finishAuction(array, auction.history);
+        });
+        auction.on('pause', renderCommissioner);
+        auction.on('resume', renderCommissioner);
+        auction.on('correction', ({ entry }) => {
+            saveAuction();
+            updateStatsTable(array);
+            updateDraftTable(array);
+            syncDrafted();
+            renderHistory(auction.history);
+            renderCommissioner();
+            showLotResults(entry.description);
+        });
+        document.getElementById('commissioner-toggle').classList.remove('hidden');
+        renderCommissioner();
+
+        saveAuction();
+        document.getElementById('export-save').classList.remove('hidden');
+        auction.start();
+    }
+
+    /**
+     * Saves the local auction to localStorage. Saves are only taken between lots, so a
+     * resumed auction always starts at a nomination.
+     */
+    function saveAuction() {
+        lastSave = { savedAt: Date.now(), privacyMode, dataset: datasetChoice(), auction: auction.toJSON() };
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(lastSave));
+        } catch (error) {
+            console.error('Error saving the auction:', error);
+        }
+    }
+
+
+    // how saves and the server refer to the selected dataset: a built-in one by its ID, an uploaded one in full.
+    function datasetChoice() {
+        return selectedDataset.id || selectedDataset;
+    }
+
+
+    function clearSavedAuction() {
+        lastSave = null;
+        localStorage.removeItem(SAVE_KEY);
+        document.getElementById('export-save').classList.add('hidden');
+    }
+
+
+    function loadSavedAuction() {
+        try {
+            return JSON.parse(localStorage.getItem(SAVE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+
+    function showSavedAuction() {
+        const save = loadSavedAuction();
+        const resumeBox = document.getElementById('resume-saved');
+        if (!save || !save.auction || !Array.isArray(save.auction.participants)) {
+            resumeBox.classList.add('hidden');
+            return;
+        }
+
+        const { participants, round } = save.auction;
+        const savedAt = new Date(save.savedAt).toLocaleString();
+        document.getElementById('saved-summary').innerText =
+            `${participants.length} teams, round ${round}, saved ${savedAt}`;
+        resumeBox.classList.remove('hidden');
+    }
+
+    /**
+     * Restores a saved auction and picks it up at the nomination after the last awarded lot.
+     * 
+     * @param {Object} save - The save, as written by saveAuction.
+     * @returns {string|null} - Why the save could not be restored, or null when the auction resumed.
+     */
+    function resumeAuction(save) {
+        if (!builtInDatasets) {
+            return 'The player data is still loading, try again in a moment.';
+        }
+
+        let restored;
+        try {
+            // saves from before datasets could be picked were drafted from the first one.
+            const choice = save.dataset || builtInDatasets[0].id;
+            const saved = typeof choice === 'string' ? builtInDatasets.find(({ id }) => id === choice) : readDataset(choice);
+            if (!saved) {
+                return `This save drafts from the ${choice} player data, which is no longer available.`;
+            }
+            restored = Auction.fromJSON(save.auction, saved.players);
+            useDataset(saved);
+        } catch (error) {
+            return error.message;
+        }
+
+        rules = restored.rules;
+        leagueSize = restored.participants.length;
+        showSeed(restored.random.seed);
+        setPrivacyMode(Boolean(save.privacyMode));
+
+        document.getElementById('settings-form').classList.add('hidden');
+        document.getElementById('auction-interface').classList.remove('hidden');
+        runAuction(restored);
+        return null;
+    }
+
+
+    document.getElementById('resume-auction').addEventListener('click', () => {
+        const error = resumeAuction(loadSavedAuction());
+        document.getElementById('saved-status').innerText = error || '';
+    });
+
+
+    document.getElementById('discard-save').addEventListener('click', () => {
+        clearSavedAuction();
+        showSavedAuction();
+    });
+
+
+    document.getElementById('import-save').addEventListener('change', function() {
+        const file = this.files[0];
+        const status = document.getElementById('saved-status');
+        if (!file) {
+            return;
         }
+
+        file.text()
+            .then(text => {
+                let save;
+                try {
+                    save = JSON.parse(text);
+                } catch (error) {
+                    status.innerText = 'That file is not a saved auction.';
+                    return;
+                }
+                // accept a bare engine save as well as one exported from here.
+                const error = resumeAuction(save.auction ? save : { auction: save });
+                status.innerText = error || '';
+            })
+            .catch(error => console.error('Error reading the save file:', error));
     });
 
     /**
-     * Handles the submission of the auction settings form.
+     * Downloads the last save as a JSON file that can be imported on another browser.
      * 
-     * This function takes the league settings input by the user and initializes them. This includes the number 
-     * of total participants, how many are bots vs. not, it generates the nomination order, and then starts the bidding process.
+     * @event click
+     */
+    document.getElementById('export-save').addEventListener('click', () => {
+        if (!lastSave) {
+            return;
+        }
+        const { seed, round } = lastSave.auction;
+        downloadFile(`blind-auction-${seed}-round-${round}.json`, 'application/json', JSON.stringify(lastSave, null, 2));
+    });
+
+
+    function downloadFile(filename, type, contents) {
+        const blob = new Blob([contents], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+
+    showSavedAuction();
+
+
+    /**
+     * Ends the auction on screen: stops the clock, offers the results for download and shows
+     * the draft report.
      * 
-     * @param {Event} event - The submit event triggered by the form.
+     * @param {Array<Participant>} participants - The participants of the finished auction.
+     * @param {Array<Object>} history - Every lot the auction awarded.
      */
-    document.getElementById('auction-settings').addEventListener('submit', function(event) {
-        event.preventDefault();
+    function finishAuction(participants, history) {
+        cancelTurn();
+        document.getElementById('commissioner-toggle').classList.add('hidden');
+        document.getElementById('commissioner-panel').classList.add('hidden');
+        clearInterval(timer);
+        toggleBidInputVisibility(false);
+        document.getElementById('draft-notification').innerText = 'The auction is complete.';
+
+        finalResults = draftResults(participants, rules.scoring);
+        renderDraftBoard(finalResults);
+        document.getElementById('results-export').classList.remove('hidden');
+        renderDraftReport(draftReport(participants, { scoring: rules.scoring, prices: prices || new Map(), history }));
+    }
+
+
+    document.getElementById('report-toggle').addEventListener('click', function() {
+        const report = document.getElementById('draft-report');
+        report.classList.toggle('hidden');
+        this.innerText = report.classList.contains('hidden') ? 'Show Draft Report' : 'Hide Draft Report';
+    });
+
+    /**
+     * Shows the post-draft report: the draft's biggest steals and overpays, then a card per team
+     * in projected rank order with why it ranks there, its categories against the league
+     * average, its spending by position and by phase of the draft, and every pick's price
+     * against its value.
+     * 
+     * @param {Object} report - The output of draftReport.
+     */
+    function renderDraftReport(report) {
+        const describePick = ({ player, name, price, value, surplus }) =>
+            `${player} to ${name}: $${price} for a $${value} player (${surplus > 0 ? '+' : ''}${surplus})`;
+        [['report-steals', report.steals, 'No player went for less than their value.'],
+         ['report-overpays', report.overpays, 'No player went for more than their value.']].forEach(([id, picks, empty]) => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            (picks.length > 0 ? picks.map(describePick) : [empty]).forEach(text => {
+                const item = document.createElement('li');
+                item.innerText = text;
+                list.appendChild(item);
+            });
+        });
+
+        const cards = document.getElementById('report-teams');
+        cards.innerHTML = '';
+        report.teams.forEach(team => {
+            const card = document.createElement('div');
+            card.className = 'report-team';
+            const addLine = (tag, className, text) => {
+                const line = document.createElement(tag);
+                line.className = className;
+                line.innerText = text;
+                card.appendChild(line);
+            };
+
+            addLine('h3', 'title is-5', `${team.rank}. ${team.name}${team.owner ? ` (${team.owner})` : ''}`);
+            addLine('p', 'report-explanation', team.explanation);
+
+            card.appendChild(reportTable(['Category', 'Team', 'League avg', 'vs avg'], team.categories.map(category => {
+                const sign = category.difference >= 0 ? '+' : '-';
+                const className = team.strengths.includes(category.stat) ? 'report-strength'
+                    : team.weaknesses.includes(category.stat) ? 'report-weakness' : '';
+                return {
+                    className,
+                    cells: [category.label, formatStat(category.stat, category.value), formatStat(category.stat, category.average),
+                        `${sign}${formatStat(category.stat, Math.abs(category.difference))}`],
+                };
+            })));
+
+            addLine('p', 'report-spending', `Spent $${team.spent} on $${team.value} of value. By position: ${
+                team.spendingByPosition.map(({ position, spent, players }) => `${position} $${spent} (${players})`).join(', ')}.`);
+            addLine('p', 'report-spending', `By phase: ${team.spendingByPhase.filter(({ players }) => players > 0)
+                .map(({ label, spent, players }) => `${label} $${spent} (${players})`).join(', ')}.`);
+
+            card.appendChild(reportTable(['Player', 'Paid', 'Value', '+/-'], team.picks.map(pick => ({
+                className: pick.surplus > 0 ? 'report-strength' : pick.surplus < 0 ? 'report-weakness' : '',
+                cells: [`${pick.player} (${pick.pos})${pick.keeper ? ' (K)' : ''}`, `$${pick.price}`,
+                    pick.value === null ? '-' : `$${pick.value}`, pick.surplus === null ? '-' : `${pick.surplus > 0 ? '+' : ''}${pick.surplus}`],
+            }))));
+            cards.appendChild(card);
+        });
+
+        document.getElementById('draft-report').classList.remove('hidden');
+        document.getElementById('report-toggle').innerText = 'Hide Draft Report';
+    }
+
+
+    function reportTable(headings, rows) {
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        headings.forEach(heading => {
+            const th = document.createElement('th');
+            th.innerText = heading;
+            header.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(({ className, cells }) => {
+            const row = body.insertRow();
+            row.className = className;
+            cells.forEach(text => {
+                row.insertCell().innerText = text;
+            });
+        });
+        return table;
+    }
+
+
+    document.getElementById('export-csv').addEventListener('click', () => {
+        downloadFile(`blind-auction-${auctionSeed}-results.csv`, 'text/csv', resultsToCSV(finalResults));
+    });
+
+
+    document.getElementById('export-json').addEventListener('click', () => {
+        const contents = JSON.stringify({ seed: auctionSeed, rules, teams: finalResults }, null, 2);
+        downloadFile(`blind-auction-${auctionSeed}-results.json`, 'application/json', contents);
+    });
+
+
+    document.getElementById('print-board').addEventListener('click', () => window.print());
+
+    /**
+     * Lays the final rosters out as a draft board, one card per team in rank order. The board
+     * is hidden on screen and is the only thing shown when the page is printed.
+     * 
+     * @param {Array<Object>} results - The output of draftResults.
+     */
+    function renderDraftBoard(results) {
+        const board = document.getElementById('draft-board');
+        board.innerHTML = '';
+
+        const title = document.createElement('p');
+        title.className = 'draft-board-title';
+        title.innerText = `Draft Board (seed ${auctionSeed})`;
+        board.appendChild(title);
+
+        results.forEach(({ rank, name, spent, roster }) => {
+            const card = document.createElement('div');
+            card.className = 'draft-board-team';
+
+            const heading = document.createElement('h2');
+            heading.innerText = `${rank}. ${name} ($${spent})`;
+            card.appendChild(heading);
+
+            const table = document.createElement('table');
+            roster.forEach(({ slot, player, pos, team, price, keeper }) => {
+                const row = table.insertRow();
+                [slot, player, `${pos} ${team}`, `$${price}${keeper ? ' (K)' : ''}`].forEach(text => {
+                    row.insertCell().innerText = text;
+                });
+            });
+            card.appendChild(table);
+            board.appendChild(card);
+        });
+    }
+
+
+    function handleTurn(turn) {
+        const { phase, participant, isNominator } = turn;
+        cancelTurn();
+
+        if (revealOpen) {
+            pendingTurn = turn;
+            return;
+        }
+
+        if (phase === 'nominate') {
+            if (!participant.isAi) {
+                humanOnScreen = participant;
+                setWatcher(controller === auction ? participant : watcher);
+            }
+            updateUpperText(participant.name, "nominate");
+            startTimer(rules.nominationTime);
+            toggleBidInputVisibility(false);
+            waitForNomination(participant.isAi);
+        } else {
+            toggleBidInputVisibility(!participant.isAi);
+            startBid(participant, isNominator, turn.player);
+        }
+    }
+
+
+    document.getElementById('host-room').addEventListener('click', function() {
+        const { values, errors } = readRules();
+        showRuleErrors(errors);
+        const selectedLeagueSize = parseInt(leagueSizeSelect.value);
+        const teams = readTeams();
+        const humanSeats = teams.filter(team => !team.isAi).length;
+
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+        if (!selectedLeagueSize || !humanSeats) {
+            setOnlineStatus('Pick a league size and at least 1 real player to host a room.');
+            return;
+        }
+        if (!selectedDataset) {
+            setOnlineStatus('The player data is still loading, try again in a moment.');
+            return;
+        }
+
+        connectOnline({
+            type: 'create',
+            name: document.getElementById('online-name').value,
+            settings: {
+                leagueSize: selectedLeagueSize,
+                humanSeats,
+                rules: values,
+                seed: seedInput.value.trim(),
+                // online, teams are named after the players who join them.
+                bots: teams.filter(team => team.isAi).map(({ strategy, difficulty }) => ({ strategy, difficulty })),
+                dataset: datasetChoice(),
+            },
+        });
+    });
+
+
+    document.getElementById('join-room').addEventListener('click', function() {
+        const code = document.getElementById('room-code').value.trim().toUpperCase();
+        if (!code) {
+            setOnlineStatus('Enter the room code from your host.');
+            return;
+        }
+
+        const saved = JSON.parse(sessionStorage.getItem('blind-auction-seat') || 'null');
+        connectOnline({
+            type: 'join',
+            code,
+            name: document.getElementById('online-name').value,
+            token: saved && saved.code === code ? saved.token : undefined,
+        });
+    });
+
+
+    document.getElementById('start-online').addEventListener('click', () => sendMessage({ type: 'start' }));
+
+    /**
+     * Connects to the multiplayer server that served this page and sends the first message
+     * (creating or joining a room) once the connection is open.
+     * 
+     * @param {Object} firstMessage - The create or join message.
+     */
+    function connectOnline(firstMessage) {
+        if (socket) {
+            socket.close();
+        }
+        setOnlineStatus('Connecting...');
+
+        socket = new WebSocket(`${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}`);
+        socket.addEventListener('open', () => sendMessage(firstMessage));
+        socket.addEventListener('message', event => handleServerMessage(JSON.parse(event.data)));
+        socket.addEventListener('error', () => {
+            setOnlineStatus('Could not reach the multiplayer server. Start it with "npm start" and open the page it serves.');
+        });
+
+        controller = {
+            nominate: playerId => sendMessage({ type: 'nominate', playerId }),
+            bid: amount => sendMessage({ type: 'bid', amount }),
+        };
+    }
+
+
+    function sendMessage(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+
+    // the server took this player's bid, or moved on without it.
+    function finishOnlineBid() {
+        if (endOnlineBid) {
+            endOnlineBid();
+        }
+    }
+
+
+    function setOnlineStatus(text) {
+        document.getElementById('online-status').innerText = text;
+    }
+
+    /**
+     * Renders everything the multiplayer server reports. The server runs the auction, so
+     * this only mirrors its state; the only thing that happens locally is this player's
+     * own turns, which are sent back through the controller.
+     * 
+     * @param {Object} message - A message from the server.
+     */
+    function handleServerMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                onlineName = message.name;
+                sessionStorage.setItem('blind-auction-seat', JSON.stringify({ code: message.code, token: message.token }));
+                document.getElementById('start-online').classList.toggle('hidden', message.seat !== 0);
+                setOnlineStatus(`Joined room ${message.code} as ${message.name}.`);
+                break;
+            case 'lobby':
+                renderLobby(message);
+                break;
+            case 'started':
+                startOnlineAuction(message);
+                break;
+            case 'nominated':
+                message.playerIds.forEach(markDrafted);
+                onlineHistory = [...(message.history || [])];
+                renderHistory(onlineHistory);
+                break;
+            case 'turn':
+                finishOnlineBid();
+                handleOnlineTurn(message);
+                break;
+            case 'nomination':
+                handleNomination(dataset.find(player => player.id === message.playerId));
+                showLotResults(`${message.name} nominated a player. Bids are sealed until everyone has bid.`);
+                break;
+            case 'bid':
+                if (message.name === onlineName) {
+                    finishOnlineBid();
+                }
+                showLotResults(message.skipped ? `${message.name} cannot bid on this player and passes.` : `${message.name} has submitted a sealed bid.`);
+                break;
+            case 'award':
+                finishOnlineBid();
+                syncOnlineParticipants(message.participants);
+                updateStatsTable(onlineParticipants);
+                updateDraftTable(onlineParticipants);
+                document.getElementById('bid-input').value = 0;
+                showLotResults(describeAward(message));
+                onlineHistory.push(message.record);
+                addHistoryRecord(message.record);
+                break;
+            case 'complete':
+                finishOnlineBid();
+                syncOnlineParticipants(message.participants);
+                updateStatsTable(onlineParticipants);
+                updateDraftTable(onlineParticipants);
+                finishAuction(onlineParticipants, onlineHistory);
+                break;
+            case 'error':
+                setOnlineStatus(message.message);
+                showBidError(message.message);
+                break;
+        }
+    }
+
+
+    function renderLobby({ code, leagueSize: size, seats }) {
+        document.getElementById('lobby').classList.remove('hidden');
+        document.getElementById('lobby-code').innerText = code;
+
+        const list = document.getElementById('lobby-seats');
+        list.innerHTML = '';
+        seats.forEach((seat, index) => {
+            const item = document.createElement('li');
+            item.innerText = seat.name
+                ? `${seat.name}${seat.connected ? '' : ' (disconnected)'}`
+                : `Seat ${index + 1}: waiting for a player`;
+            list.appendChild(item);
+        });
 
+        const bots = size - seats.filter(seat => seat.name).length;
+        const botsItem = document.createElement('li');
+        botsItem.innerText = `${bots} bot${bots === 1 ? '' : 's'} will fill the remaining teams.`;
+        list.appendChild(botsItem);
+    }
 
-        leagueSize = parseInt(leagueSizeSelect.value);
-        const realPlayersCount = parseInt(livePlayersSelect.value);
-        const total = leagueSize * ROSTER_SIZE;
 
+    function startOnlineAuction({ seed, rules: roomRules, dataset: roomDataset, participants }) {
+        useDataset(roomDataset);
+        rules = roomRules;
+        leagueSize = participants.length;
+        syncOnlineParticipants(participants);
+        showSuggestedPrices(participants.length);
+        // a reconnect restarts the auction view; keep the queue and send it again.
+        setWatcher(watcher && watcher.name === onlineName ? watcher : { name: onlineName, watchlist: [], nominationQueue: [] });
+        sendMessage({ type: 'queue', playerIds: watcher.nominationQueue });
 
         document.getElementById('settings-form').classList.add('hidden');
         document.getElementById('auction-interface').classList.remove('hidden');
+        // the server runs online auctions, so there is nothing for a local commissioner to control.
+        document.getElementById('commissioner-toggle').classList.add('hidden');
+        showSeed(seed);
+        renderHistory([]);
+        initializeDraftTable(onlineParticipants);
+        initializeStatsTable(onlineParticipants);
+        updateDraftTable(onlineParticipants);
+        updateStatsTable(onlineParticipants);
+    }
+
+    /**
+     * Replaces the local copies of the participants with the server's snapshot. The array is
+     * refilled in place so the stats table's sort handlers keep pointing at it.
+     * 
+     * @param {Array<Object>} snapshot - Serialized participants, in nomination order.
+     */
+    function syncOnlineParticipants(snapshot) {
+        const restored = snapshot.map(data => Participant.fromJSON(data, dataset, rules));
+        onlineParticipants.splice(0, onlineParticipants.length, ...restored);
+    }
 
-        const participants = [];
-        const realParticipants = Array.from({ length: realPlayersCount }, (_, i) => (new Participant(`Player ${i + 1}`)));
-        const botParticipants = Array.from({ length: (leagueSize - realPlayersCount) }, (_, i) =>
-                                (new Participant(`Bot ${i + 1}`, true)));
 
+    function handleOnlineTurn({ phase, name, playerId, isNominator, seconds }) {
+        if (name === onlineName) {
+            // the server's last snapshot of this seat, so bids can be checked before they are sent.
+            const participant = onlineParticipants.find(participant => participant.name === name) || { name, isAi: false };
+            handleTurn({ phase, participant, isNominator, player: dataset.find(player => player.id === playerId) || null });
+            return;
+        }
 
-        const orderingParticipants = [...realParticipants, ...botParticipants];
-        const randomizedOrder = randomizeArray(orderingParticipants);
-        for (let i = 0; i < randomizedOrder.length; i++) {
-            participants.push(randomizedOrder[i]);
+        cancelTurn();
+        updateUpperText(name, phase);
+        toggleBidInputVisibility(false);
+        if (seconds) {
+            startTimer(seconds);
+        } else {
+            clearInterval(timer);
         }
+    }
+
+
+    function describeAward({ winner, playerId, price, bids, record }) {
+        const player = dataset.find(player => player.id === playerId);
+        const sealedBids = bids.map(bid => `${bid.name} $${bid.amount}`).join(', ');
+        const tieBreak = record && record.tieBreak ? ` ${describeTieBreak(record)}` : '';
+        return `${winner} won ${player.player} for $${price}. Sealed bids: ${sealedBids}.${tieBreak}`;
+    }
+
+
+    function describeTieBreak({ tiedWith, tieBreak }) {
+        return `Tied with ${tiedWith.join(', ')}; decided by ${TIE_BREAKERS[tieBreak].toLowerCase()}.`;
+    }
 
 
-        startAuction(participants);
+    function showLotResults(text) {
+        document.getElementById('lot-results').innerText = text;
+    }
+
+
+    document.getElementById('history-toggle').addEventListener('click', () => {
+        document.getElementById('commissioner-panel').classList.add('hidden');
+        document.getElementById('history-panel').classList.toggle('hidden');
+    });
+
+
+    document.getElementById('history-close').addEventListener('click', () => {
+        document.getElementById('history-panel').classList.add('hidden');
+    });
+
+
+    document.getElementById('commissioner-toggle').addEventListener('click', () => {
+        document.getElementById('history-panel').classList.add('hidden');
+        document.getElementById('commissioner-panel').classList.toggle('hidden');
+    });
+
+
+    document.getElementById('commissioner-close').addEventListener('click', () => {
+        document.getElementById('commissioner-panel').classList.add('hidden');
     });
 
+    /**
+     * Pauses or resumes the local auction. Pausing freezes the clock and holds whatever the
+     * turn was waiting on, a bot's move or a human's timeout, with the time it had left.
+     * Resuming picks the held turn up again, unless the commissioner made corrections, in
+     * which case the auction hands out a fresh turn.
+     * 
+     * @event click
+     */
+    document.getElementById('pause-auction').addEventListener('click', () => {
+        document.getElementById('commissioner-error').innerText = '';
+        if (!auction.paused) {
+            const held = scheduledTurn;
+            if (!auction.pause()) {
+                return;
+            }
+            heldTurn = held ? { callback: held.callback, remaining: Math.max(0, held.due - Date.now()) } : null;
+            clearTimeout(turnTimeout);
+            scheduledTurn = null;
+            clearInterval(timer);
+            document.getElementById('timer-tick').innerText = 'Paused';
+            document.getElementById('draft-notification').innerText = 'The auction is paused.';
+            return;
+        }
+
+        const held = heldTurn;
+        heldTurn = null;
+        if (!auction.resume() && held) {
+            scheduleTurn(held.callback, held.remaining);
+            startTimer(Math.ceil(held.remaining / 1000));
+        }
+    });
+
+
+    document.getElementById('undo-lot').addEventListener('click', () => {
+        commissionerAction(() => auction.undoLastLot());
+    });
+
+
+    document.getElementById('move-submit').addEventListener('click', () => {
+        const playerId = Number(document.getElementById('move-player').value);
+        const team = auction.participants[document.getElementById('move-team').value];
+        commissionerAction(() => auction.movePlayer(playerId, team));
+    });
+
+
+    document.getElementById('budget-team').addEventListener('change', () => {
+        const team = auction.participants[document.getElementById('budget-team').value];
+        document.getElementById('budget-amount').value = team.budget;
+    });
+
+
+    document.getElementById('budget-submit').addEventListener('click', () => {
+        const team = auction.participants[document.getElementById('budget-team').value];
+        commissionerAction(() => auction.setBudget(team, parseInt(document.getElementById('budget-amount').value)));
+    });
+
+    // runs a correction and shows why it was turned down, if it was. The auction's `correction` event redraws the rest.
+    function commissionerAction(correct) {
+        document.getElementById('commissioner-error').innerText = correct() || '';
+    }
+
+    /**
+     * Redraws the commissioner panel: the pause button, the last lot, the players that can be
+     * moved, the teams and their budgets and the audit trail. Corrections are only enabled
+     * while the auction is paused.
+     */
+    function renderCommissioner() {
+        const { paused, history, participants, auditLog } = auction;
+        document.getElementById('pause-auction').innerText = paused ? 'Resume Auction' : 'Pause Auction';
+        document.querySelectorAll('.commissioner-action').forEach(control => {
+            control.disabled = !paused;
+        });
+
+        const last = history[history.length - 1];
+        document.getElementById('undo-summary').innerText = last
+            ? `Last lot: ${last.player} to ${last.winner} for $${last.price}`
+            : 'No lots have closed yet.';
+        document.getElementById('undo-lot').disabled = !paused || !last;
+
+        const playerSelect = document.getElementById('move-player');
+        const moving = playerSelect.value;
+        playerSelect.innerHTML = '';
+        participants.forEach(participant => {
+            participant.roster.forEach(({ player, bid }) => {
+                playerSelect.add(new Option(`${player.player} (${participant.name}, $${bid})`, player.id));
+            });
+        });
+        playerSelect.value = moving;
+        if (playerSelect.selectedIndex === -1 && playerSelect.options.length > 0) {
+            playerSelect.selectedIndex = 0;
+        }
+        document.getElementById('move-submit').disabled = !paused || playerSelect.options.length === 0;
+
+        ['move-team', 'budget-team'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '';
+            participants.forEach((participant, index) => select.add(new Option(participant.name, index)));
+            select.value = selected || 0;
+        });
+        const budgetTeam = participants[document.getElementById('budget-team').value];
+        document.getElementById('budget-amount').value = budgetTeam ? budgetTeam.budget : '';
+
+        const list = document.getElementById('audit-list');
+        list.innerHTML = '';
+        [...auditLog].reverse().forEach(({ description, round, lot, at }) => {
+            const item = document.createElement('li');
+            [['history-title', description], ['history-meta', `Round ${round}, after lot ${lot}, ${new Date(at).toLocaleTimeString()}`]]
+                .forEach(([className, text]) => {
+                    const line = document.createElement('p');
+                    line.className = className;
+                    line.innerText = text;
+                    item.appendChild(line);
+                });
+            list.appendChild(item);
+        });
+        document.getElementById('audit-empty').classList.toggle('hidden', auditLog.length > 0);
+    }
+
 
-    function randomizeArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+    function renderHistory(records) {
+        document.getElementById('history-list').innerHTML = '';
+        document.getElementById('history-empty').classList.remove('hidden');
+        records.forEach(addHistoryRecord);
     }
 
     /**
-     * Starts the auction process for the given array of participants.
+     * Adds a closed lot to the top of the bid history panel, with every sealed bid and,
+     * when the lot was tied, who else bid the winning price and which tie-breaker decided it.
      * 
-     * This asynchronous function initializes the draft and stats tables, then 
-     * iterates through each round of nominations until each roster is full. 
-     * It handles both human and AI participants, manages timers for nominations, 
-     * and determines the highest bid for each nominated player.
-     * 
-     * @param {Array<Participant>} array - An array of Participant objects 
-     *                                      representing the auction participants.
-     * @returns {Promise<void>} A promise that resolves when the auction has 
-     *                          completed.
+     * @param {Object} record - A lot record from the auction's history.
      */
-    async function startAuction(array) {
-        let round = 1;
-        initializeDraftTable(array);
-        initializeStatsTable(array);
-
-
-        for (let i = 0; i < ROSTER_SIZE; i++) {
-            for (let j = 0; j < array.length; j++) {
-                updateUpperText(array[j].name, "nominate");
-                startTimer(NOMINATION_TIME);
-                toggleBidInputVisibility(false);
-                let id;
-                if (array[j].isAi) {
-                    id = await waitForNomination(array[j].isAi);
-                } else {
-                    id = await Promise.race([waitForNomination(array[j].isAi),
-                    new Promise((resolve) => setTimeout(() => resolve(null), NOMINATION_TIME * 1000))]);
-                }
-
-                id = handleNomination(id);
-                toggleBidInputVisibility(true);
-                const nominator = array[j];
-                const bidders = [...array.slice(j+1), ...array.slice(0,j)];
+    function addHistoryRecord(record) {
+        const { lot, round, nominator, player, bids, winner, price, closedAt } = record;
+        const item = document.createElement('li');
+        const lines = [
+            ['history-title', `Lot ${lot}: ${player} to ${winner} for $${price}`],
+            ['history-meta', `Round ${round}, nominated by ${nominator}, ${new Date(closedAt).toLocaleTimeString()}`],
+            ['history-bids', `Sealed bids: ${bids.map(bid => `${bid.name} $${bid.amount}`).join(', ')}`],
+        ];
+        if (record.tieBreak) {
+            lines.push(['history-meta', describeTieBreak(record)]);
+        }
 
-                await startBid(nominator, id, true);
-                for (const bidder of bidders) {
-                    await startBid(bidder, id, false);
-                }
+        lines.forEach(([className, text]) => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.innerText = text;
+            item.appendChild(line);
+        });
 
-                selectHighestBid(array, id);
-                updateDraftTable(array);
-                array.forEach(participant => participant.resetBid());
-            }
-        }
+        const list = document.getElementById('history-list');
+        list.insertBefore(item, list.firstChild);
+        document.getElementById('history-empty').classList.add('hidden');
     }
 
 
     function initializeDraftTable(array) {
         const [tableHeader, tableBody] = clearHTML('table-header', 'table-body');
 
+        const slotHeader = document.createElement('th');
+        slotHeader.innerText = 'Slot';
+        tableHeader.appendChild(slotHeader);
         for (let i = 0; i < array.length; i++) {
             const th = document.createElement('th');
-            th.innerText = `${array[i].name} $${TOTAL_BUDGET} ${ROSTER_SIZE - array[i].draftees}/${ROSTER_SIZE}`;
+            th.innerText = `${array[i].name} $${array[i].budget} ${rules.rosterSize - array[i].draftees}/${rules.rosterSize}`;
             tableHeader.appendChild(th);
         }
 
-        for (let i = 0; i < ROSTER_SIZE; i++) {
+        rosterSlots(rules).forEach(slot => {
             const tr = document.createElement('tr');
+            const slotCell = document.createElement('td');
+            slotCell.className = 'slot-label';
+            slotCell.innerText = slot;
+            tr.appendChild(slotCell);
             for (let j = 1; j <= array.length; j++) {
                 const td = document.createElement('td');
                 tr.appendChild(td);
             }
             tableBody.appendChild(tr);
+        });
+    }
+
+
+    /**
+     * Lists the stat columns of the stats table for the league's scoring. Head to head shows every
+     * scored category, or a points league's fantasy points followed by each stat it weights; roto
+     * shows the total roto points followed by the points earned in each roto category.
+     *
+     * @param {Object} scoring - The league's scoring config.
+     * @returns {Array<{key: string, label: string}>} - The columns, left to right.
+     */
+    function statColumns(scoring) {
+        if (standingsView === 'roto') {
+            return [
+                { key: 'rotoTotal', label: 'Roto Pts' },
+                ...rotoCategories(scoring).map(({ stat }) => ({ key: `roto.${stat}`, label: STAT_LABELS[stat] })),
+            ];
+        }
+        if (scoring.type === 'points') {
+            return [
+                { key: 'fantasyPoints', label: 'FPTS' },
+                ...Object.keys(scoring.weights).filter(stat => scoring.weights[stat] !== 0)
+                    .map(stat => ({ key: stat, label: STAT_LABELS[stat] })),
+            ];
+        }
+        return scoring.categories.map(({ stat, lowerIsBetter }) => ({
+            key: stat,
+            label: lowerIsBetter ? `${STAT_LABELS[stat]} \u2193` : STAT_LABELS[stat],
+        }));
+    }
+
+
+    function statValue(participant, key) {
+        if (key === 'fantasyPoints' || key === 'rotoTotal') {
+            return participant[key];
+        }
+        if (key.startsWith('roto.')) {
+            return participant.rotoPoints[key.slice('roto.'.length)];
+        }
+        return participant.cumulativeStats[key];
+    }
+
+
+    function standingsRank(participant) {
+        return standingsView === 'roto' ? participant.rotoRank : participant.rank;
+    }
+
+
+    function formatStat(key, value) {
+        if (key === 'rotoTotal' || key.startsWith('roto.')) {
+            return Number.isInteger(value) ? String(value) : value.toFixed(1);
         }
+        return PERCENT_STATS.includes(key) ? `${(value * 100).toFixed(2)}%` : value.toFixed(2);
+    }
+
+
+    function rankStandings(participants) {
+        const headToHead = calculateHeadToHeadPoints(participants, rules.scoring);
+        const roto = calculateRotoPoints(participants, rules.scoring);
+        return standingsView === 'roto' ? roto : headToHead;
     }
 
 
     function initializeStatsTable(array) {
         const [tableHeader, tableBody] = clearHTML('stats-table-header', 'stats-table-body');
+        statsParticipants = array;
 
 
-        const headers = ['Team Name', 'Ranking', 'FG%', 'FT%', 'PPG', 'APG', 'RPG', '3P', 'SPG', 'BPG', 'TOS'];
+        const headers = ['Team Name', 'Ranking', ...statColumns(rules.scoring).map(column => column.label)];
+        currentSortOrder = headers.map(() => false);
 
 
         headers.forEach((header, index) => {
             const th = document.createElement('th');
             th.innerText = header;
-            th.addEventListener('click', () => sortTable(array, index));
+            th.addEventListener('click', () => sortTable(statsParticipants, index));
             tableHeader.appendChild(th);
         });
 
 
-        array.forEach((participant) => {
-            const row = document.createElement('tr');
-            row.id = `participant-${participant.name.replace(/\s+/g, '-')}`;
-            row.innerHTML = `
-                <td id="participant-${participant.name.replace(/\s+/g, '-')}"
-                    class="participant-name">${participant.name}</td>
-                <td>${participant.rank}</td>
-                <td>${participant.cumulativeStats.fg_pct.toFixed(2)}%</td>
-                <td>${participant.cumulativeStats.ft_pct.toFixed(2)}%</td>
-                <td>${participant.cumulativeStats.ppg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.apg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.rpg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.three_p.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.spg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.bpg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.tos.toFixed(2)}</td>
-            `;
-            tableBody.appendChild(row);
-            renderTableRows(array, tableBody);
-        });
+        renderTableRows(rankStandings(array), tableBody);
     }
 
     /**
      * Sorts the stats table in ascending or descending order based on which column the user selects.
-     * By default, the stat table is sorted highest to lowest in team ranking.
+     * By default, the stat table is sorted highest to lowest in team ranking, head to head or roto
+     * depending on the standings shown.
      * 
      * @param {Array<Participant>} participants - The array of Participant objects to be sorted.
-     * @param {number} columnIndex - The index of the column to sort by, corresponding 
-     *                               to the keys in the sortingKeyMap. 
+     * @param {number} columnIndex - The index of the column to sort by: the team name, the
+     *                               ranking, then the columns from statColumns.
      */
     function sortTable(participants, columnIndex) {
-        const sortingKeyMap = {
-            0: 'name',
-            1: 'rank',
-            2: 'fg_pct',
-            3: 'ft_pct',
-            4: 'ppg',
-            5: 'apg',
-            6: 'rpg',
-            7: 'three_p',
-            8: 'spg',
-            9: 'bpg',
-            10: 'tos'
-        };
+        const sortingKeys = ['name', 'rank', ...statColumns(rules.scoring).map(column => column.key)];
 
 
         const sortedParticipants = [...participants];
-        const sortingKey = sortingKeyMap[columnIndex];
+        const sortingKey = sortingKeys[columnIndex];
         currentSortOrder[columnIndex] = !currentSortOrder[columnIndex];
 
         sortedParticipants.sort((a, b) => {
             if (sortingKey === 'name') {
                 return a.name.localeCompare(b.name) * (currentSortOrder[columnIndex] ? 1 : -1);
             } else if (sortingKey === 'rank') {
-                return (a.rank - b.rank) * (currentSortOrder[columnIndex] ? 1 : -1);
+                return (standingsRank(a) - standingsRank(b)) * (currentSortOrder[columnIndex] ? 1 : -1);
             } else {
-                return (a.cumulativeStats[sortingKey] - b.cumulativeStats[sortingKey]) * (currentSortOrder[columnIndex] ? 1 : -1);
+                return (statValue(a, sortingKey) - statValue(b, sortingKey)) * (currentSortOrder[columnIndex] ? 1 : -1);
             }
         });
 
@@ -404,72 +1917,31 @@ document.addEventListener("DOMContentLoaded", () => {
 
 
     function updateStatsTable(participants) {
-        const sortedParticipants = calculateHeadToHeadPoints(participants);
+        statsParticipants = participants;
+        const sortedParticipants = rankStandings(participants);
         renderTableRows(sortedParticipants, document.getElementById('stats-table-body'));
     }
 
 
     function renderTableRows(participants, tableBody) {
+        const columns = statColumns(rules.scoring);
         tableBody.innerHTML = '';
         participants.forEach((participant, index) => {
             const row = document.createElement('tr');
-            row.id = `participant-${participant.name.replace(/\s+/g, '-')}`;
+            // IDs go by nomination order, since names can be anything.
+            row.id = `participant-${statsParticipants.indexOf(participant)}`;
             row.innerHTML = `
-                <td class="participant-name">${participant.name}</td>
-                <td>${participant.rank}</td>
-                <td>${(participant.cumulativeStats.fg_pct * 100).toFixed(2)}%</td>
-                <td>${(participant.cumulativeStats.ft_pct * 100).toFixed(2)}%</td>
-                <td>${participant.cumulativeStats.ppg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.apg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.rpg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.three_p.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.spg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.bpg.toFixed(2)}</td>
-                <td>${participant.cumulativeStats.tos.toFixed(2)}</td>
+                <td class="participant-name">
+                    ${escapeHTML(participant.name)}
+                    ${participant.owner ? `<span class="owner-name">${escapeHTML(participant.owner)}</span>` : ''}
+                </td>
+                <td>${standingsRank(participant)}</td>
+                ${columns.map(({ key }) => `<td>${formatStat(key, statValue(participant, key))}</td>`).join('')}
             `;
             tableBody.appendChild(row);
         });
     }
 
-    /**
-     * Compares the rosters of players head to head. The more teams a player's roster outranks others (based on
-     * last year's stats), the higher the team will be ranked.
-     * 
-     * 
-     * @param {Array<Participant>} participants - the array of Participant whose rosters will 
-     *                                            be compared head to head. 
-     * @returns {Array<Participant>} - the sorted array of Participants ranked by their strength in head to head.
-     */
-    function calculateHeadToHeadPoints(participants) {
-        let sortedParticipants = [...participants];
-        sortedParticipants.forEach(team => {
-            team.h2hPoints = 0;
-
-            sortedParticipants.forEach(opponent => {
-                if (team !== opponent) {
-                    let wins = 0;
-
-                    const categories = ['fg_pct', 'ft_pct', 'ppg', 'apg', 'rpg', 'three_p', 'spg', 'bpg', 'tos'];
-                    categories.forEach(category => {
-                        if (team.cumulativeStats[category] > opponent.cumulativeStats[category]) {
-                            wins++;
-                        }
-                    });
-
-                    team.h2hPoints += wins;
-                }
-            });
-        });
-
-        sortedParticipants.sort((a, b) => b.h2hPoints - a.h2hPoints);
-        sortedParticipants.forEach((participant, index) => {
-            participant.rank = index + 1;
-        });
-
-        return sortedParticipants;
-    }
-
-
     function clearHTML(headerTag, bodyTag) {
         const tableHeader = document.getElementById(headerTag);
         const tableBody = document.getElementById(bodyTag);
@@ -496,25 +1968,29 @@ document.addEventListener("DOMContentLoaded", () => {
             fontSize = '0.8em';
         }
 
+        // the first column holds the slot names.
         participants.forEach((participant, participantIndex) => {
-            const th = tableHeader.children[participantIndex];
-            th.innerText = `${participant.name} $${TOTAL_BUDGET - participant.spent}
-                                     $${participant.maxBid} ${ROSTER_SIZE - participant.draftees}/${ROSTER_SIZE}`;
-            participant.roster.forEach((playerData, rowIndex) => {
-                if (playerData) {
-                    const td = tableBody.rows[rowIndex].cells[participantIndex];
+            const th = tableHeader.children[participantIndex + 1];
+            th.innerText = `${participant.name} $${participant.budget - participant.spent}
+                                     $${participant.maxBid} ${rules.rosterSize - participant.draftees}/${rules.rosterSize}`;
+            // players can move between slots as the roster fills, so every cell is redrawn.
+            participant.lineup().forEach((playerData, rowIndex) => {
+                const td = tableBody.rows[rowIndex].cells[participantIndex + 1];
+                td.innerHTML = '';
+                td.style.backgroundColor = '';
+                if (playerData.player) {
                     const playerName = playerData.player.player.split(" ");
                     const isLargeLeague = leagueSize >= 10;
                     td.innerHTML = `
                     <div>
-                        <strong>${isLargeLeague ? playerName[0] : playerData.player.player}</strong><br>
-                        ${isLargeLeague ? `<span>${playerName[1]}</span><br>` : ''}
-                        <span>$${playerData.bid}</span> - <span>${playerData.player.pos}</span>
+                        <strong>${escapeHTML(isLargeLeague ? playerName[0] : playerData.player.player)}</strong><br>
+                        ${isLargeLeague ? `<span>${escapeHTML(playerName[1] || '')}</span><br>` : ''}
+                        <span>$${playerData.bid}${playerData.keeper ? ' (K)' : ''}</span> - <span>${escapeHTML(playerData.player.pos)}</span>
                     </div>`;
 
                     td.style.fontSize = fontSize;
 
-                    switch (playerData.player.pos) {
+                    switch (playerPositions(playerData.player)[0]) {
                         case 'PG':
                             td.style.backgroundColor = '#3e6921'; // Green
                             break;
@@ -542,17 +2018,27 @@ document.addEventListener("DOMContentLoaded", () => {
     function toggleBidInputVisibility(isVisible) {
         const bidInput = document.getElementById('bid-input');
         const submitButton = document.getElementById('submit-bid');
+        const limits = document.getElementById('bid-limits');
 
 
         if (isVisible) {
             bidInput.style.display = 'block';
             submitButton.style.display = 'block';
+            limits.style.display = 'block';
         } else {
             bidInput.style.display = 'none';
             submitButton.style.display = 'none';
+            limits.style.display = 'none';
+            showBidError(null);
         }
     }
 
+
+    function showBidError(message) {
+        document.getElementById('bid-error').innerText = message || '';
+        document.getElementById('bid-input').classList.toggle('is-danger', Boolean(message));
+    }
+
     function updateUpperText(name, scenario) {
         const notif = document.getElementById('draft-notification');
         notif.innerText = `It is ${name}'s turn to ${scenario}.`
@@ -560,61 +2046,84 @@ document.addEventListener("DOMContentLoaded", () => {
 
 
     function waitForNomination(isAi) {
-        return new Promise((resolve) => {
-            const playerTableBody = document.getElementById('player-table-body');
+        const playerTableBody = document.getElementById('player-table-body');
+
+        if (isAi) {
+            clearInterval(timer);
+            scheduleTurn(() => auction.playBotTurn(), rules.aiWait * 1000);
+            return;
+        }
 
-            if (isAi) {
+        nominationHandler = (event) => {
+            if (event.target.matches('.nominate-button')) {
+                const playerId = Number(event.target.getAttribute('data-player-id'));
+                if (controller === auction && auction.paused) {
+                    showLotResults('The auction is paused.');
+                    return;
+                }
+                const error = controller === auction ? auction.nominationError(auction.getPlayer(playerId)) : null;
+                if (error) {
+                    showLotResults(error);
+                    return;
+                }
+                cancelTurn();
                 clearInterval(timer);
-                setTimeout(() => {
-                    resolve(null);
-                }, AI_WAIT * 1000);
-                return;
+                controller.nominate(playerId);
             }
+        };
 
-            const nominationHandler = (event) => {
-                if (event.target.matches('.nominate-button')) {
-                    const playerId = Number(event.target.getAttribute('data-player-id'));
-                    handleNomination(playerId);
-                    resolve(playerId);
-                    playerTableBody.removeEventListener('click', nominationHandler);
-                    clearInterval(timer);
-                }
-            };
+        playerTableBody.addEventListener('click', nominationHandler);
+        scheduleTurn(() => {
+            cancelTurn();
+            const fromView = document.getElementById('nominate-from-view').checked && !hasQueuedPlayer();
+            controller.nominate(fromView ? topPlayerInView() : null);
+        }, rules.nominationTime * 1000);
+    }
 
-            playerTableBody.addEventListener('click', nominationHandler);
-        });
+    /**
+     * Schedules what happens when the current turn's time runs out. Only one turn is ever
+     * scheduled; a pause holds it and picks it up where it stopped.
+     * 
+     * @param {Function} callback - What to do when the time runs out.
+     * @param {number} ms - How long the turn has, in milliseconds.
+     */
+    function scheduleTurn(callback, ms) {
+        clearTimeout(turnTimeout);
+        scheduledTurn = { callback, due: Date.now() + ms };
+        turnTimeout = setTimeout(() => {
+            scheduledTurn = null;
+            callback();
+        }, ms);
+    }
+
+    // stops everything the current turn is waiting on: its timeout and a human's nomination clicks.
+    function cancelTurn() {
+        clearTimeout(turnTimeout);
+        scheduledTurn = null;
+        if (nominationHandler) {
+            document.getElementById('player-table-body').removeEventListener('click', nominationHandler);
+            nominationHandler = null;
+        }
     }
 
     /**
-     * Handles the nomination of a player during the auction process.
+     * Displays a nominated player during the auction process.
      * 
-     * If no player ID is provided, the function picks the top card from the 
-     * player cards container. It then retrieves the nominated player's details 
-     * from the dataset, updates the displayed player information, and hides 
-     * the corresponding nomination button on the UI.
+     * It updates the displayed player information with the nominated player's
+     * details, highlighted if the player is on the watchlist, and marks them drafted in the pool.
      * 
-     * @param {number|null} playerId - The ID of the nominated player. If null, 
-     *                                 the function picks the top player card.
-     * @returns {number} - The ID of the nominated player.
+     * @param {Object} nominatedPlayer - The player that was nominated.
      */
-    function handleNomination(playerId) {
-        const playerStatsTableBody = document.getElementById('player-table-body');
-        if (playerId === null) {
-            const firstVisibleRow = Array.from(playerStatsTableBody.getElementsByTagName('tr'))
-                .find(row => row.style.display !== 'none');
-            
-            if (firstVisibleRow) {
-                playerId = Number(firstVisibleRow.querySelector('.nominate-button').getAttribute('data-player-id'));
-            }
-        }
-    
-        const nominatedPlayer = dataset.find(player => player.id === playerId);
+    function handleNomination(nominatedPlayer) {
         const heading = document.querySelector('#basic-info h1');
-        heading.innerText = nominatedPlayer.player;
+        const watched = Boolean(watcher) && watcher.watchlist.includes(nominatedPlayer.id);
+        heading.innerText = watched ? `\u2605 ${nominatedPlayer.player}` : nominatedPlayer.player;
+        document.getElementById('nominated-player-display').classList.toggle('is-watched', watched);
         const positions = document.querySelector('.basic-info p');
-        positions.innerHTML = `<em>${nominatedPlayer.team}</em> - <em>${nominatedPlayer.pos}</em>`;
+        positions.innerHTML = `<em>${escapeHTML(nominatedPlayer.team)}</em> - <em>${escapeHTML(nominatedPlayer.pos)}</em>`;
         const last = document.querySelector('.last-year-stats');
         last.innerHTML = `
+            <p class="stats-source">${DATASET_KINDS[selectedDataset.kind].label}</p>
             <p><strong>PPG:</strong> ${nominatedPlayer.ppg}</p>
             <p><strong>APG:</strong> ${nominatedPlayer.apg}</p>
             <p><strong>RPG:</strong> ${nominatedPlayer.rpg}</p>
@@ -623,296 +2132,477 @@ document.addEventListener("DOMContentLoaded", () => {
             <p><strong>3PG:</strong> ${nominatedPlayer.three_p}</p>
             <p><strong>BPG:</strong> ${nominatedPlayer.bpg}</p>
             <p><strong>SPG:</strong> ${nominatedPlayer.spg}</p>
-            <p><strong>TOs:</strong> ${nominatedPlayer.tos}</p>`;
+            <p><strong>TOs:</strong> ${nominatedPlayer.tos}</p>
+            ${prices ? `<p class="suggested-price"><strong>Value:</strong> $${prices.get(nominatedPlayer.id)}</p>` : ''}`;
     
-        const rowToHide = Array.from(playerStatsTableBody.getElementsByTagName('tr'))
-            .find(row => Number(row.querySelector('.nominate-button').getAttribute('data-player-id')) === playerId);
-    
-        if (rowToHide) {
-            rowToHide.style.display = 'none';
-        }
-    
-        return playerId;
+        markDrafted(nominatedPlayer.id);
     }
 
-    function startTimer(seconds) {
-        clearInterval(timer);
-        let timeLeft = seconds;
-        timer = setInterval(() => {
-            if (timeLeft <= 0) {
-                clearInterval(timer);
-            } else {
-                timeLeft--;
-                const clock = document.querySelector('#timer-tick');
-                const formattedTime = `0:${timeLeft < 10 ? '0' : ''}${timeLeft}`;
-                clock.innerText = formattedTime;
-                if (timeLeft <= 6) {
-                    clock.style.color = 'red';
-                } else {
-                    clock.style.color = '#121212';
-                }
-            }
-        }, 1000);
-    }
 
     /**
-     * Initiates the bidding process for a given bidder and player.
-     *
-     * The function updates the UI with the current bidder's name, sets the
-     * initial bid value based on whether the current bidder is the nominator,
-     * and handles both AI and human bidders. It sets a timer for the bidding
-     * duration and resolves a promise once a bid is submitted.
+     * Fills the player pool's value column with each player's suggested price for the league
+     * being drafted.
      *
-     * @param {Participant} currentBidder - The participant currently placing the bid.
-     * @param {number} id - The ID of the player being bid on.
-     * @param {boolean} isNominator - Indicates whether the current bidder is the nominator.
-     * @returns {Promise<void>} - A promise that resolves when the bidding process is complete.
+     * @param {number} teams - The number of teams in the league.
      */
-    async function startBid(currentBidder, id, isNominator) {
-        updateUpperText(currentBidder.name, "bid");
-        const bid = document.getElementById('bid-input');
-        const submitButton = document.getElementById('submit-bid');
-        let submitted = false;
-        bid.value = isNominator ? 1 : 0;
+    function showSuggestedPrices(teams) {
+        prices = suggestedPrices(dataset, rules, teams);
+        playerRows.forEach((row, playerId) => {
+            row.querySelector('.suggested-price').innerText = `$${prices.get(playerId)}`;
+        });
+        renderPool();
+    }
 
-        startTimer(BIDDING_TIME);
 
-        if (currentBidder.isAi) {
-            return new Promise((resolve) => {
-                setTimeout(() => {
-                    currentBidder.placeBid(determineValue(currentBidder, id, isNominator));
-                    submitted = true;
-                    resolve();
-                }, AI_WAIT * 1000);
-                return;
-            });
+    // what a pool column sorts by. Players without a percentage sort below every player with one.
+    function poolSortValue(player, key) {
+        if (key === 'value') {
+            return prices ? prices.get(player.id) : 0;
         }
+        if (PERCENT_STATS.includes(key)) {
+            return player[key] === null ? -1 : player[key];
+        }
+        return player[key];
+    }
 
 
-        return new Promise((resolve) => {
-            const handleBidSubmit = () => {
-                const currentBidAmount = parseInt(bid.value) || (isNominator ? 1 :0);
-                currentBidder.placeBid(currentBidAmount);
-                submitted = true;
-                clearTimeout(timeoutId);
-                resolve();
-            };
-
+    // folds accents away so a search for "doncic" finds Dončić.
+    function searchText(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
 
-            const timeoutId = setTimeout(() => {
-                if (!submitted) {
-                    const currentBidAmount = parseInt(bid.value) || (isNominator ? 1 : 0);
-                    currentBidder.placeBid(currentBidAmount);
-                    submitted = true;
-                    resolve();
-                }
-            }, BIDDING_TIME * 1000);
+    /**
+     * Shows the player pool through its filters and sort. Drafted players stay in the pool,
+     * greyed out, when "hide drafted" is off, but cannot be nominated again.
+     */
+    function renderPool() {
+        const { search, position, team, minGames, minMinutes, hideDrafted, sortKey, descending } = poolView;
+        const query = searchText(search.trim());
+        const players = [...dataset];
+        if (sortKey) {
+            players.sort((a, b) => {
+                const x = poolSortValue(a, sortKey);
+                const y = poolSortValue(b, sortKey);
+                const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+                return descending ? -order : order;
+            });
+        }
 
+        const tableBody = document.getElementById('player-table-body');
+        players.forEach(player => {
+            const row = playerRows.get(player.id);
+            const drafted = draftedIds.has(player.id);
+            const shown = !(drafted && hideDrafted)
+                && (!query || searchText(player.player).includes(query))
+                && (!position || playerPositions(player).includes(position))
+                && (!team || player.team === team)
+                && player.games >= minGames
+                && (player.MP || 0) >= minMinutes;
+            row.classList.toggle('hidden', !shown);
+            row.classList.toggle('is-drafted', drafted);
+            row.querySelector('.nominate-button').disabled = drafted;
+            tableBody.appendChild(row);
+        });
 
-            submitButton.onclick = handleBidSubmit;
+        document.querySelectorAll('#player-table-header th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted-ascending', th.dataset.sort === sortKey && !descending);
+            th.classList.toggle('sorted-descending', th.dataset.sort === sortKey && descending);
         });
+        renderWatchlist();
     }
 
     /**
-     * Determines the bidding value spent by AI for a player based on various factors, 
-     * including the current bidder's stats, aggression, and league size.
-     *
-     * The function calculates a score that reflects the player's value to 
-     * the current bidder, taking into account performance metrics and other 
-     * contextual factors. It also ensures the calculated value does not exceed 
-     * the current bidder's maximum bid.
+     * Sorts the player pool by the clicked column. Clicking the sorted column again reverses
+     * it; text columns start A to Z, turnovers lowest first and every other stat highest first.
      *
-     * @param {Participant} currentBidder - The AI determining the bid value.
-     * @param {number} id - The ID of the player for whom the bid value is being determined.
-     * @param {boolean} isNominator - Indicates if the current bidder is the nominator.
-     * @returns {number} - The calculated bidding value for the player, capped at the current bidder's max bid.
+     * @event click
      */
-    function determineValue(currentBidder, id, isNominator) {
-        if (currentBidder.draftees == ROSTER_SIZE) return 0;
-
-
-        let leagueMultiplier = 1;
-
-
-        if (currentBidder.aggression < 55 && leagueSize <= 12) {
-            leagueMultiplier = 1.05 + 0.39 * (leagueSize / 12);
-        } else if (leagueSize <= 12) {
-            leagueMultiplier = 1.1;
-        } else if (leagueSize >= 16 && currentBidder.aggression > 55) {
-            leagueMultiplier = .87;
+    document.getElementById('player-table-header').addEventListener('click', function(event) {
+        const th = event.target.closest('th[data-sort]');
+        if (!th) {
+            return;
         }
+        const key = th.dataset.sort;
+        if (poolView.sortKey === key) {
+            poolView.descending = !poolView.descending;
+        } else {
+            poolView.sortKey = key;
+            poolView.descending = !['player', 'pos', 'team', 'tos'].includes(key);
+        }
+        renderPool();
+    });
 
 
-        const leagueAggression = Math.round(Math.pow(0.04911 * leagueSize, 2) - (0.3964 * leagueSize)
-        + (currentBidder.aggression * leagueMultiplier));
-
-        const budgetFactor = (TOTAL_BUDGET - currentBidder.spent) / TOTAL_BUDGET;
-        const rosterFactor = (ROSTER_SIZE - currentBidder.draftees) / ROSTER_SIZE;
-        const max_value = Math.max(0, leagueAggression + Math.floor(Math.random() * 9) - 3.3);
-
-
-        const good_fg_pct = 0.55;
-        const good_ft_pct = 0.87;
-        const good_tos = 1.5;
-        const high_vol_fg = 9.8;
-        const high_vol_ft = 3.5;
-        let popcorn_val = 0;
-
+    [['pool-search', 'search', 'input'], ['pool-position', 'position', 'change'], ['pool-team', 'team', 'change']].forEach(([inputId, key, type]) => {
+        document.getElementById(inputId).addEventListener(type, function() {
+            poolView[key] = this.value;
+            renderPool();
+        });
+    });
+    [['pool-min-games', 'minGames'], ['pool-min-minutes', 'minMinutes']].forEach(([inputId, key]) => {
+        document.getElementById(inputId).addEventListener('input', function() {
+            poolView[key] = Number(this.value) || 0;
+            renderPool();
+        });
+    });
+    document.getElementById('pool-hide-drafted').addEventListener('change', function() {
+        poolView.hideDrafted = this.checked;
+        renderPool();
+    });
 
-        const player = dataset.find(player => player.id === id);
-        const grades = [];
-        let totalScore = 0;
 
+    // marks exactly the players the auction has taken out of the pool, after a correction put some back.
+    function syncDrafted() {
+        draftedIds.clear();
+        auction.nominatedIds.forEach(playerId => draftedIds.add(playerId));
+        renderPool();
+    }
 
-        grades.push(evaluateContribution(player.ppg, 20, 0.3, 17.5));
-        grades.push(1.5 * evaluateContribution(player.apg, 12, 0.7, 4));
-        let rebVal = evaluateContribution(player.rpg, 12, 0.7, 5)
 
+    function markDrafted(playerId) {
+        draftedIds.add(playerId);
+        // a nominated player is gone from every queue, whoever won them.
+        const owners = controller === auction ? auction.participants : [watcher];
+        owners.filter(Boolean).forEach(owner => {
+            owner.nominationQueue = owner.nominationQueue.filter(id => id !== playerId);
+        });
+        renderPool();
+        renderQueue();
+    }
 
-        if (rebVal < 3) {
-            grades.push(0);
-        } else {
-            grades.push(1.5 * (rebVal >= 5 ? rebVal : rebVal / 3));
+    /**
+     * Shows a human's watchlist and nomination queue in the player pool.
+     *
+     * @param {Participant|Object|null} participant - The local participant, this device's seat
+     *        online, or null when no human is drafting.
+     */
+    function setWatcher(participant) {
+        if (participant === watcher) {
+            return;
         }
+        watcher = participant;
+        renderPool();
+        renderQueue();
+    }
 
 
-        popcorn_val += (grades[0] + grades[1] + grades[2]) / 30;
-
-
-        let ft = Math.min(8, 8 - (40 * (good_ft_pct - player.ft_pct)));
-        ft *= evaluateContribution(player.fta, 1, 0.8, 3);
-
+    // the star on every watched player's row, and which rows are queued.
+    function renderWatchlist() {
+        playerRows.forEach((row, playerId) => {
+            const watched = Boolean(watcher) && watcher.watchlist.includes(playerId);
+            const queued = Boolean(watcher) && watcher.nominationQueue.includes(playerId);
+            row.classList.toggle('is-watched', watched);
+            row.querySelector('.watch-button').innerHTML = watched ? '&#9733;' : '&#9734;';
+            row.querySelector('.queue-button').classList.toggle('is-queued', queued);
+            row.querySelectorAll('.watch-button, .queue-button').forEach(button => {
+                button.disabled = !watcher;
+            });
+        });
+    }
 
-        if (ft > 6.5 && player.fta >= high_vol_ft) {
-            totalScore += 2;
-        } else if (ft < 3 && player.fta > high_vol_ft) {
-            totalScore -= 4;
-        } else if (ft < 3.2) {
-            totalScore -= 2;
+    function renderQueue() {
+        const box = document.getElementById('queue-box');
+        box.classList.toggle('hidden', !watcher);
+        if (!watcher) {
+            return;
         }
+        document.getElementById('queue-owner').innerText = `${watcher.name}'s nomination queue`;
+        const list = document.getElementById('nomination-queue');
+        list.innerHTML = '';
+        watcher.nominationQueue.forEach((playerId, index) => {
+            const player = dataset.find(player => player.id === playerId);
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.innerText = `${player.player} (${player.pos}, ${player.team})`;
+            item.appendChild(name);
+            [['up', '&#8593;', 'Move up'], ['down', '&#8595;', 'Move down'], ['remove', '&#10005;', 'Remove']].forEach(([action, label, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'button is-small queue-action';
+                button.innerHTML = label;
+                button.title = title;
+                button.dataset.action = action;
+                button.dataset.index = index;
+                item.appendChild(button);
+            });
+            list.appendChild(item);
+        });
+        document.getElementById('queue-empty').classList.toggle('hidden', watcher.nominationQueue.length > 0);
+    }
 
-
-        grades.push(ft);
+    /**
+     * Replaces the watcher's nomination queue, and sends it to the server when online so a
+     * nomination that times out there uses it too.
+     *
+     * @param {Array<number>} queue - The player IDs, in nomination order.
+     */
+    function setQueue(queue) {
+        watcher.nominationQueue = queue;
+        if (controller !== auction) {
+            sendMessage({ type: 'queue', playerIds: queue });
+        }
+        renderWatchlist();
+        renderQueue();
+    }
 
 
-        let fg = Math.min(10, 10 - (50 * (good_fg_pct - player.fg_pct)));
+    document.getElementById('player-table-body').addEventListener('click', function(event) {
+        const button = event.target.closest('.watch-button, .queue-button');
+        if (!button || !watcher) {
+            return;
+        }
+        const playerId = Number(button.getAttribute('data-player-id'));
+        if (button.matches('.watch-button')) {
+            const { watchlist } = watcher;
+            watcher.watchlist = watchlist.includes(playerId) ? watchlist.filter(id => id !== playerId) : [...watchlist, playerId];
+            renderWatchlist();
+            return;
+        }
+        const queue = watcher.nominationQueue;
+        setQueue(queue.includes(playerId) ? queue.filter(id => id !== playerId) : [...queue, playerId]);
+    });
 
 
-        if (player.fga <= 10) {
-            fg *= evaluateContribution(player.fga, 1, .25, 6);
+    document.getElementById('nomination-queue').addEventListener('click', function(event) {
+        const button = event.target.closest('.queue-action');
+        if (!button) {
+            return;
         }
+        const queue = [...watcher.nominationQueue];
+        const index = Number(button.dataset.index);
+        const [playerId] = queue.splice(index, 1);
+        if (button.dataset.action === 'up') {
+            queue.splice(Math.max(0, index - 1), 0, playerId);
+        } else if (button.dataset.action === 'down') {
+            queue.splice(index + 1, 0, playerId);
+        }
+        setQueue(queue);
+    });
 
-
-        if (fg > 10 && player.fga > high_vol_fg || player.fg_pct >= .57 && player.fga >= 7) {
-            totalScore += 2;
-        } else if (fg < 8 && player.fga > high_vol_fg) {
-            totalScore -= 4;
-        } else if (fg < 8.5 && player.fga > 5) {
-            totalScore -= 2;
+    // whether a nomination left to the timer will come from the watcher's queue.
+    function hasQueuedPlayer() {
+        if (!watcher) {
+            return false;
         }
+        if (controller === auction) {
+            return auction.queuedNomination(watcher) !== null;
+        }
+        return watcher.nominationQueue.some(playerId => !draftedIds.has(playerId));
+    }
 
+    /**
+     * Finds the player at the top of the pool as the user has filtered and sorted it, for
+     * a nomination left to the timer when "auto-nominate from this view" is on.
+     *
+     * @returns {number|null} - The player's ID, or null to leave the pick to the auction when
+     *                          no player in view can be nominated.
+     */
+    function topPlayerInView() {
+        const row = Array.from(document.querySelectorAll('#player-table-body tr:not(.hidden):not(.is-drafted)')).find(row => {
+            const playerId = Number(row.querySelector('.nominate-button').getAttribute('data-player-id'));
+            return controller !== auction || auction.nominationError(auction.getPlayer(playerId)) === null;
+        });
+        return row ? Number(row.querySelector('.nominate-button').getAttribute('data-player-id')) : null;
+    }
 
-        grades.push(fg);
+    function startTimer(seconds) {
+        clearInterval(timer);
+        let timeLeft = seconds;
+        timer = setInterval(() => {
+            if (timeLeft <= 0) {
+                clearInterval(timer);
+            } else {
+                timeLeft--;
+                const clock = document.querySelector('#timer-tick');
+                const secondsLeft = timeLeft % 60;
+                const formattedTime = `${Math.floor(timeLeft / 60)}:${secondsLeft < 10 ? '0' : ''}${secondsLeft}`;
+                clock.innerText = formattedTime;
+                if (timeLeft <= 6) {
+                    clock.style.color = 'red';
+                } else {
+                    clock.style.color = '#121212';
+                }
+            }
+        }, 1000);
+    }
 
+    /**
+     * Initiates the bidding process for a given bidder.
+     *
+     * The function updates the UI with the current bidder's name, sets the
+     * initial bid value based on whether the current bidder is the nominator,
+     * and handles both AI and human bidders. It sets a timer for the bidding
+     * duration and submits the bid to the auction once it is entered or the timer runs out.
+     * A human's bid is checked as it is typed; an invalid bid is not submitted and the turn
+     * stays open, and one still invalid when the timer runs out falls back to the default bid.
+     * Online, the turn also stays open until the server takes the bid, so a bid it turns down
+     * can be fixed and sent again.
+     *
+     * @param {Participant} currentBidder - The participant currently placing the bid.
+     * @param {boolean} isNominator - Indicates whether the current bidder is the nominator.
+     * @param {Object|null} player - The player being bid on.
+     */
+    function startBid(currentBidder, isNominator, player) {
+        updateUpperText(currentBidder.name, "bid");
+        const bid = document.getElementById('bid-input');
+        const submitButton = document.getElementById('submit-bid');
+        bid.value = '';
 
-        if (player.three_p >= 0.8) {
-            grades.push(1.333 * evaluateContribution(player.three_p, 6, 0.6, 0));
-        } else {
-            grades.push(evaluateContribution(player.three_p, 0.8, 0.6, 0.4));
+        if (currentBidder.isAi) {
+            startTimer(rules.biddingTime);
+            scheduleTurn(() => auction.playBotTurn(), rules.aiWait * 1000);
+            return;
         }
 
 
-        if (player.spg >= 1.68) {
-            totalScore += 6 * (Math.max( 0.5, popcorn_val));
-        } else if (player.spg >= 1.4) {
-            totalScore += 4.2 * (Math.max(0.5, popcorn_val))
-        } else if (player.spg >= 1) {
-            totalScore += 2 * (Math.max(0.5, popcorn_val));
-        } else if (player.spg >= 0.7) {
-            totalScore += 1.2 * (Math.max(0.5, popcorn_val));
-        }
+        const reserve = reservePrice(player, rules);
+        const defaultBid = isNominator ? reserve : 0;
+        // online, until the first snapshot arrives, the server is left to check the bid.
+        const bidError = amount => (currentBidder instanceof Participant ? currentBidder.bidError(amount, player, isNominator) : null);
+        const readBid = () => (bid.value.trim() === '' ? defaultBid : Number(bid.value));
 
+        const endBid = () => {
+            submitButton.onclick = null;
+            bid.oninput = null;
+            bid.value = '';
+            showBidError(null);
+            cancelTurn();
+            endOnlineBid = null;
+        };
 
-        if (player.bpg >= 3) {
-            totalScore += 8;
-        } else if (player.bpg >= 2) {
-            totalScore += 5 * (Math.max(0.7, popcorn_val));
-        } else if (player.bpg >= 1.5) {
-            totalScore += 4 * (Math.max(0.7, popcorn_val));
-        } else if (player.bpg >= 1.15) {
-            totalScore += 3 * (Math.max(0.7, popcorn_val));
-        } else if (player.bpg >= 0.75) {
-            totalScore += 1.4 * (Math.max(0.7, popcorn_val));
-        }
+        const handleBidSubmit = timedOut => {
+            if (controller === auction && auction.paused) {
+                showBidError('The auction is paused.');
+                return;
+            }
+            let currentBidAmount = readBid();
+            const error = bidError(currentBidAmount);
+            if (error && !timedOut) {
+                showBidError(error);
+                return;
+            }
+            if (error) {
+                currentBidAmount = bidError(defaultBid) ? 0 : defaultBid;
+            }
+            if (controller === auction) {
+                endBid();
+            } else {
+                endOnlineBid = endBid;
+                showBidError(null);
+            }
+            controller.bid(currentBidAmount);
+        };
 
-        totalScore += grades.reduce((sum, value) => sum + value, 0);
 
-        if (totalScore <= 9) {
-            totalScore /= 15;
-        }
 
-        if (player.tos <= good_tos && player.totalScore >= 10) {
-            totalScore += 1;
-        }
+        const beginBid = () => {
+            humanOnScreen = currentBidder;
+            setWatcher(controller === auction ? currentBidder : watcher);
+            bid.value = defaultBid;
+            if (currentBidder instanceof Participant) {
+                const spots = currentBidder.playersLeft;
+                bid.max = Math.max(0, currentBidder.maxBid);
+                document.getElementById('bid-limits').innerText =
+                    `Max bid $${Math.max(0, currentBidder.maxBid)}, ${spots} roster spot${spots === 1 ? '' : 's'} left`
+                    + (reserve > rules.minimumBid ? `, reserve $${reserve}` : '');
+            } else {
+                bid.removeAttribute('max');
+                document.getElementById('bid-limits').innerText = '';
+            }
+            showBidError(null);
+            toggleBidInputVisibility(true);
+            startTimer(rules.biddingTime);
+            scheduleTurn(() => handleBidSubmit(true), rules.biddingTime * 1000);
+            submitButton.onclick = () => handleBidSubmit(false);
+            bid.oninput = () => showBidError(bidError(readBid()));
+        };
 
-        if (player.games < 55) {
-        totalScore *= 0.8;
-        }
 
-        if (isNominator && totalScore < 1) {
-            totalScore = 1;
+        if (privacyMode && currentBidder !== humanOnScreen) {
+            toggleBidInputVisibility(false);
+            clearInterval(timer);
+            showHandoff(currentBidder.name, beginBid);
+        } else {
+            beginBid();
         }
+    }
 
-        let worth = Math.round(Math.min(totalScore, max_value));
-        return Math.min(worth, currentBidder.maxBid);
+    /**
+     * Switches pass-and-play privacy on or off. With it on, the bid input is masked, each
+     * human bidder gets a hand-off screen before their turn, and every sealed bid for a lot
+     * is revealed at once after it is awarded.
+     * 
+     * @param {boolean} enabled - Whether privacy mode should be on.
+     */
+    function setPrivacyMode(enabled) {
+        privacyMode = enabled;
+        humanOnScreen = null;
+        document.getElementById('bid-input').type = enabled ? 'password' : 'number';
     }
 
     /**
-     * Evaluates the contribution of a specific stat using a logistic growth function.
-     *
-     * The function calculates a grade for the stat based on its value compared 
-     * to a peak, players that are elite at a certain stat are valued highly, non-contributors
-     * are punished heavily in value and middling players have a more stable shift in value as their 
-     * contribution goes up.
-     *
-     * @param {number} stat - The current value of the statistic being evaluated.
-     * @param {number} peak - The maximum possible contribution value for the stat.
-     * @param {number} curve - The steepness of the curve; higher values result in 
-     *                         a sharper transition around the turning point.
-     * @param {number} turn - The point at which the contribution begins to rise 
-     *                        significantly.
-     * @returns {number} - The calculated grade for the contribution based on 
-     *                     the provided stat.
-     */
-    function evaluateContribution(stat, peak, curve, turn) {
-        const grade = peak / (1 + Math.exp(-curve * (stat - turn)));
-        return grade;
-    }
-
-    function selectHighestBid(participants, id) {
-        /*participants = randomizeArray(participants);*/
-
-        const highestBid = Math.max(...participants.map(participant => participant.currentBid));
-        const highestBidders = participants.filter(participant => participant.currentBid === highestBid);
-        const winner = highestBidders[Math.floor(Math.random() * highestBidders.length)];
-
-        winner.spent += winner.currentBid;
-        winner.addPlayer(id, winner.currentBid);
-        updateStatsTable(participants);
-        const bid = document.getElementById('bid-input');
-        bid.value = 0;
+     * Covers the screen until the next human bidder has the device, so they never see
+     * what the previous bidder typed.
+     * 
+     * @param {string} name - The name of the bidder the device should be passed to.
+     * @param {Function} onReveal - Called once the bidder taps to reveal their turn.
+     */
+    function showHandoff(name, onReveal) {
+        const handoff = document.getElementById('handoff');
+        document.getElementById('handoff-text').innerText = `Pass to ${name}`;
+        handoff.classList.remove('hidden');
+
+        document.getElementById('handoff-reveal').onclick = () => {
+            handoff.classList.add('hidden');
+            onReveal();
+        };
+    }
+
+    /**
+     * Shows every sealed bid for a lot at once. The auction waits on this screen, and the
+     * next turn starts once it is dismissed.
+     * 
+     * @param {Object} award - The awarded lot: winner name, player ID, price and all bids.
+     */
+    function showBidReveal({ winner, playerId, price, bids }) {
+        const reveal = document.getElementById('bid-reveal');
+        const player = dataset.find(player => player.id === playerId);
+        document.getElementById('bid-reveal-title').innerText = `${winner} wins ${player.player} for $${price}`;
+
+        const body = document.getElementById('bid-reveal-body');
+        body.innerHTML = '';
+        [...bids].sort((a, b) => b.amount - a.amount).forEach(bid => {
+            const row = document.createElement('tr');
+            row.classList.toggle('is-selected', bid.name === winner);
+            const name = document.createElement('td');
+            const amount = document.createElement('td');
+            name.innerText = bid.name;
+            amount.innerText = `$${bid.amount}`;
+            row.append(name, amount);
+            body.appendChild(row);
+        });
+
+        revealOpen = true;
+        reveal.classList.remove('hidden');
+        clearInterval(timer);
+        toggleBidInputVisibility(false);
+
+        document.getElementById('bid-reveal-continue').onclick = () => {
+            reveal.classList.add('hidden');
+            revealOpen = false;
+            humanOnScreen = null;
+            if (pendingTurn) {
+                const turn = pendingTurn;
+                pendingTurn = null;
+                handleTurn(turn);
+            }
+        };
     }
 
 
     /* TODO:
             fix the top banner info. it keeps talking about turn to nominate.
             might already be fixed on other computer.
-            implement page where you can look at cumulative stats and rankings per roster
-            have bots account for all 9 cat
-            ^ volume should affect percentage value
             fix css for table so everything is fairly visible
-            need to fix table since player that played for multiple teams are repeated
-            need at least 310 unique players since leagues can be up to 20 in size
-            maybe if bots can also account for how much roster they have to fill
     */
 });
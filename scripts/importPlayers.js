@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Builds a player dataset from a Basketball-Reference per-game CSV.
+ *
+ * Run it with `npm run import-players -- <stats.csv> <season> [output.json] [--projection]`.
+ * The output defaults to `data.json`. Players already in the output file or in any dataset
+ * `datasets.json` lists keep their IDs, so seasons can be averaged player by player.
+ * `--projection` marks the stats as projections instead of a finished season. Nothing is
+ * written when the CSV has problems, which are listed instead. List a new file in
+ * `datasets.json` to offer it on the setup form.
+ * @package
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importPlayers } = require('../src/players');
+const { DATASET_SCHEMA_VERSION } = require('../src/datasets');
+
+const ROOT = path.join(__dirname, '..');
+const args = process.argv.slice(2);
+const kind = args.includes('--projection') ? 'projection' : 'season';
+const [csvPath, season, outputPath = path.join(ROOT, 'data.json')] = args.filter(arg => arg !== '--projection');
+if (!csvPath || !season) {
+    console.error('Usage: npm run import-players -- <stats.csv> <season> [output.json] [--projection]');
+    process.exit(1);
+}
+
+const readPlayers = file => {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : data.players || [];
+};
+const listed = fs.existsSync(path.join(ROOT, 'datasets.json'))
+    ? (JSON.parse(fs.readFileSync(path.join(ROOT, 'datasets.json'), 'utf8')).datasets || []).filter(entry => entry.file)
+    : [];
+// the output file comes last, so its IDs win when a name is in several files.
+const previous = [
+    ...listed.map(entry => path.join(ROOT, entry.file)).filter(file => path.resolve(file) !== path.resolve(outputPath)),
+    outputPath,
+].filter(file => fs.existsSync(file)).flatMap(readPlayers);
+
+let players;
+try {
+    players = importPlayers(fs.readFileSync(csvPath, 'utf8'), previous);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const dataset = {
+    schemaVersion: DATASET_SCHEMA_VERSION,
+    name: kind === 'projection' ? `${season} projections` : `${season} season`,
+    season,
+    kind,
+    players,
+};
+fs.writeFileSync(outputPath, `${JSON.stringify(dataset, null, 4)}\n`);
+const kept = players.filter(player => previous.some(old => old.id === player.id)).length;
+console.log(`Wrote ${players.length} players to ${outputPath} (${kept} kept their IDs, ${players.length - kept} are new).`);
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview A small multiplayer server for blind auctions. It serves the web app and
+ * hosts auction rooms over WebSocket, so every person can bid from their own device.
+ *
+ * Run it with `npm start`, then open http://<your-ip>:3000 on each device. The port can be
+ * changed with the PORT environment variable.
+ *
+ * Messages are JSON objects with a `type`:
+ * - client → server: `create` {name, settings}, `join` {code, name, token}, `start`,
+ *   `nominate` {playerId}, `bid` {amount}, `queue` {playerIds}
+ * - server → client: `joined` {code, seat, name, token}, `lobby`, `started`, `turn`,
+ *   `nomination`, `bid`, `award`, `complete`, `error` {message}
+ * @package
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { validateRules, BOT_STRATEGIES, BOT_DIFFICULTIES } = require('../src/engine');
+const { validateDataset, resolveDatasets } = require('../src/datasets');
+const { Room } = require('./room');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+};
+
+// the only files served: the web app and the player data it loads. Dataset files are added from datasets.json.
+const STATIC_FILES = new Set([
+    'index.html',
+    'script.js',
+    'styles.css',
+    'other-styles.css',
+    'datasets.json',
+    ...fs.readdirSync(path.join(ROOT, 'src')).filter(file => file.endsWith('.js')).map(file => `src/${file}`),
+]);
+
+const readJSON = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+let datasets;
+try {
+    const manifest = readJSON('datasets.json');
+    const files = {};
+    (manifest.datasets || []).filter(entry => entry.file).forEach(entry => {
+        files[entry.file] = readJSON(entry.file);
+        STATIC_FILES.add(entry.file);
+    });
+    datasets = resolveDatasets(manifest, files);
+} catch (error) {
+    console.error(`The player datasets cannot be used: ${error.message}`);
+    process.exit(1);
+}
+const rooms = new Map();
+
+
+function serveStatic(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const file = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+    const contentType = CONTENT_TYPES[path.extname(file)];
+
+    if (!STATIC_FILES.has(file) || !contentType) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(path.join(ROOT, file), (error, contents) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': contentType });
+        response.end(contents);
+    });
+}
+
+
+function createRoomCode() {
+    const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let code;
+    do {
+        code = Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+/**
+ * Checks the settings a host sent when creating a room. The dataset is the ID of one the
+ * server has, or a whole dataset the host supplied.
+ *
+ * @param {Object} settings - The requested room settings.
+ * @returns {string|null} - An error message, or null when the settings are usable.
+ */
+function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return 'Room settings are missing.';
+    }
+    const { leagueSize, humanSeats, rules, bots = [], dataset } = settings;
+    if (!Number.isInteger(leagueSize) || leagueSize < 4 || leagueSize > 20) {
+        return 'League size must be between 4 and 20.';
+    }
+    if (!Number.isInteger(humanSeats) || humanSeats < 1 || humanSeats > leagueSize) {
+        return 'There must be between 1 and league size real players.';
+    }
+    if (!Array.isArray(bots) || bots.length > leagueSize || bots.some(bot => !bot ||
+        !Object.prototype.hasOwnProperty.call(BOT_STRATEGIES, bot.strategy) ||
+        !Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, bot.difficulty))) {
+        return 'Every bot needs a known personality and difficulty.';
+    }
+    if (typeof dataset === 'string' && !datasets.some(({ id }) => id === dataset)) {
+        return 'No dataset with that name.';
+    }
+    if (dataset && typeof dataset === 'object') {
+        const errors = validateDataset(dataset);
+        if (errors.length > 0) {
+            return `The dataset cannot be used: ${errors[0]}`;
+        }
+    }
+    const errors = Object.values(validateRules(rules || {}));
+    return errors.length > 0 ? errors[0] : null;
+}
+
+
+function handleConnection(socket) {
+    let room = null;
+    const reply = (message) => socket.send(JSON.stringify(message));
+    // an empty room is closed, so its timers stop and it does not linger in `rooms`.
+    const leaveRoom = () => {
+        room.leave(socket);
+        if (room.isEmpty) {
+            room.close();
+            rooms.delete(room.code);
+        }
+        room = null;
+    };
+
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            reply({ type: 'error', message: 'Messages must be JSON.' });
+            return;
+        }
+        if (!message || typeof message !== 'object') {
+            reply({ type: 'error', message: 'Messages must be JSON objects.' });
+            return;
+        }
+
+        if (message.type === 'create' || message.type === 'join') {
+            if (room) {
+                leaveRoom();
+            }
+
+            let target;
+            if (message.type === 'create') {
+                const error = validateSettings(message.settings);
+                if (error) {
+                    reply({ type: 'error', message: error });
+                    return;
+                }
+                const { leagueSize, humanSeats, rules, seed, bots, dataset } = message.settings;
+                const roomDataset = dataset && typeof dataset === 'object'
+                    ? { ...dataset, id: null }
+                    : datasets.find(({ id }) => id === dataset) || datasets[0];
+                target = new Room(createRoomCode(), { leagueSize, humanSeats, rules, seed, bots }, roomDataset);
+                rooms.set(target.code, target);
+            } else {
+                target = rooms.get(String(message.code || '').trim().toUpperCase());
+                if (!target) {
+                    reply({ type: 'error', message: 'No room with that code.' });
+                    return;
+                }
+            }
+
+            const result = target.join(socket, message.name, message.token);
+            if (result.error) {
+                reply({ type: 'error', message: result.error });
+                return;
+            }
+            room = target;
+            reply({ type: 'joined', code: room.code, ...result });
+            room.sendLobby();
+            room.sendState(socket);
+            return;
+        }
+
+        if (!room) {
+            reply({ type: 'error', message: 'Join a room first.' });
+            return;
+        }
+        // one bad message must not take the server, and every other room, down with it.
+        let error;
+        try {
+            error = room.handleMessage(socket, message);
+        } catch (caught) {
+            console.error(`Room ${room.code} could not handle a ${message.type} message:`, caught);
+            error = 'The server could not handle that message.';
+        }
+        if (error) {
+            reply({ type: 'error', message: error });
+        }
+    });
+
+    socket.on('close', () => {
+        if (room) {
+            leaveRoom();
+        }
+    });
+}
+
+
+const server = http.createServer(serveStatic);
+const wss = new WebSocketServer({ server });
+wss.on('connection', handleConnection);
+
+server.listen(PORT, () => {
+    console.log(`Blind auction server running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview An auction room hosted by the multiplayer server. The room owns the
+ * authoritative engine Auction: it runs every timer and bot turn itself and only accepts
+ * nominations and bids from the client whose turn it is. Bid amounts are never broadcast
+ * while a lot is open; everyone sees every sealed bid at once when the lot is awarded.
+ * @package
+ */
+
+const crypto = require('crypto');
+const { Participant, Auction, randomizeArray, reservePrice } = require('../src/engine');
+const { createRandom } = require('../src/random');
+
+// extra time the server gives a human before acting for them, so a bid sent right as
+// the client's clock hits zero still counts.
+const GRACE_PERIOD = 1;
+// the most players a nomination queue holds.
+const MAX_QUEUE = 100;
+
+/**
+ * Represents one auction room and the clients connected to it.
+ *
+ * Clients are any objects with a `send(string)` method, so the room can be driven by
+ * WebSocket connections on the server or by fakes in tests.
+ *
+ * @class
+ */
+class Room {
+    /**
+     * Creates an instance of Room.
+     *
+     * @param {string} code - The code players use to join the room.
+     * @param {Object} settings - The room settings.
+     * @param {number} settings.leagueSize - The total number of teams.
+     * @param {number} settings.humanSeats - How many of the teams are played by people.
+     * @param {Object} settings.rules - The league rules.
+     * @param {string} [settings.seed] - The seed for the auction. A random one is used when omitted.
+     * @param {Array<{strategy: string, difficulty: string}>} [settings.bots] - How each bot plays, in bot
+     *        order. Bots without an entry, including any that take open human seats, play balanced on normal.
+     * @param {Object} dataset - The player dataset the room drafts from. Clients are sent it
+     *        when the auction starts, so everyone sees the same stats.
+     */
+    constructor(code, settings, dataset) {
+        this.code = code;
+        this.settings = settings;
+        this.dataset = dataset;
+        this.players = dataset.players;
+        this.seats = Array.from({ length: settings.humanSeats }, () => ({ name: null, client: null, token: null }));
+        this.auction = null;
+        this.turnTimeout = null;
+    }
+
+    get started() {
+        return this.auction !== null;
+    }
+
+    get isEmpty() {
+        return this.seats.every(seat => seat.client === null);
+    }
+
+    /**
+     * Seats a client in the room. A client presenting the token of a seat takes that seat
+     * back, which lets players reconnect mid-auction.
+     *
+     * @param {Object} client - The connecting client.
+     * @param {string} name - The name the player wants to use.
+     * @param {string} [token] - The token of a seat the client held before.
+     * @returns {{seat: number, name: string, token: string}|{error: string}} - The seat taken, or why none was.
+     */
+    join(client, name, token) {
+        const reclaimed = token ? this.seats.findIndex(seat => seat.token === token) : -1;
+        if (reclaimed !== -1) {
+            this.seats[reclaimed].client = client;
+            return { seat: reclaimed, name: this.seats[reclaimed].name, token };
+        }
+
+        if (this.started) {
+            return { error: 'This auction has already started.' };
+        }
+
+        const seat = this.seats.findIndex(seat => seat.token === null);
+        if (seat === -1) {
+            return { error: 'This room is full.' };
+        }
+
+        this.seats[seat] = {
+            name: this.uniqueName(String(name || '').trim().slice(0, 24) || `Player ${seat + 1}`),
+            client,
+            token: crypto.randomBytes(12).toString('hex'),
+        };
+        return { seat, name: this.seats[seat].name, token: this.seats[seat].token };
+    }
+
+    leave(client) {
+        const seat = this.seats.find(seat => seat.client === client);
+        if (seat) {
+            seat.client = null;
+            this.sendLobby();
+        }
+    }
+
+    uniqueName(name) {
+        const taken = new Set(this.seats.map(seat => seat.name));
+        for (let i = 1; i <= this.settings.leagueSize; i++) {
+            taken.add(`Bot ${i}`);
+        }
+        let unique = name;
+        for (let i = 2; taken.has(unique); i++) {
+            unique = `${name} (${i})`;
+        }
+        return unique;
+    }
+
+    /**
+     * Starts the auction with everyone who has joined. Open human seats are given to bots.
+     *
+     * @param {Object} client - The client asking to start; only the host (seat 0) may.
+     * @returns {string|null} - An error message, or null when the auction started.
+     */
+    start(client) {
+        if (this.started) {
+            return 'This auction has already started.';
+        }
+        if (this.seats[0].client !== client) {
+            return 'Only the host can start the auction.';
+        }
+
+        const { leagueSize, rules, seed, bots = [] } = this.settings;
+        const random = createRandom(seed);
+        const humans = this.seats.filter(seat => seat.token !== null);
+        this.seats = humans;
+
+        const participants = [
+            ...humans.map(seat => new Participant(seat.name, false, rules, random)),
+            ...Array.from({ length: leagueSize - humans.length }, (_, i) => {
+                const bot = new Participant(`Bot ${i + 1}`, true, rules, random);
+                // the host only picks how a bot plays; nothing else they send reaches the participant.
+                const { strategy = bot.strategy, difficulty = bot.difficulty } = bots[i] || {};
+                return Object.assign(bot, { strategy, difficulty });
+            }),
+        ];
+        humans.forEach((seat, i) => {
+            seat.participant = participants[i];
+        });
+
+        this.auction = new Auction(randomizeArray(participants, random), this.players, rules, random);
+        this.auction.on('turn', turn => this.handleTurn(turn));
+        this.auction.on('nomination', ({ participant, player }) => {
+            this.broadcast({ type: 'nomination', name: participant.name, playerId: player.id });
+        });
+        this.auction.on('bid', ({ participant, skipped }) => {
+            this.broadcast({ type: 'bid', name: participant.name, skipped });
+        });
+        this.auction.on('award', ({ winner, player, price, bids, record }) => {
+            this.broadcast({
+                type: 'award',
+                winner: winner.name,
+                playerId: player.id,
+                price,
+                bids: bids.map(({ participant, amount }) => ({ name: participant.name, amount })),
+                record,
+                participants: this.snapshot(),
+            });
+        });
+        this.auction.on('complete', () => {
+            clearTimeout(this.turnTimeout);
+            this.broadcast({ type: 'complete', participants: this.snapshot() });
+        });
+
+        this.broadcast({ type: 'started', seed: random.seed, rules, dataset: this.dataset, participants: this.snapshot() });
+        this.auction.start();
+        return null;
+    }
+
+    /**
+     * Handles a message from a seated client.
+     *
+     * @param {Object} client - The client that sent the message.
+     * @param {Object} message - The parsed message.
+     * @returns {string|null} - An error message to send back, or null.
+     */
+    handleMessage(client, message) {
+        if (message.type === 'start') {
+            return this.start(client);
+        }
+
+        const seat = this.seats.find(seat => seat.client === client);
+        // a player's nomination queue can change at any time; it is used when their nomination times out.
+        if (message.type === 'queue') {
+            if (!this.started || !seat) {
+                return 'The auction has not started.';
+            }
+            const playerIds = Array.isArray(message.playerIds) ? message.playerIds : [];
+            seat.participant.nominationQueue = playerIds.map(Number).filter(Number.isInteger).slice(0, MAX_QUEUE);
+            return null;
+        }
+        if (!this.started || !seat || this.auction.currentParticipant !== seat.participant) {
+            return 'It is not your turn.';
+        }
+
+        if (message.type === 'nominate') {
+            if (this.auction.phase !== 'nominating') {
+                return 'It is not your turn.';
+            }
+            const playerId = message.playerId === null ? null : Number(message.playerId);
+            const error = playerId === null ? null : this.auction.nominationError(this.auction.getPlayer(playerId));
+            return error || (this.auction.nominate(playerId) ? null : 'That player cannot be nominated.');
+        }
+        if (message.type === 'bid') {
+            if (this.auction.phase !== 'bidding') {
+                return 'It is not your turn.';
+            }
+            // an invalid bid is turned down and the turn stays open, so the player can fix it.
+            const amount = Number(message.amount);
+            const { player, nominator } = this.auction.lot;
+            const error = seat.participant.bidError(amount, player, seat.participant === nominator);
+            if (error) {
+                return error;
+            }
+            this.auction.bid(amount);
+            return null;
+        }
+        return `Unknown message type: ${message.type}`;
+    }
+
+    handleTurn({ phase, participant, player, isNominator }) {
+        const { rules } = this.settings;
+        const seconds = phase === 'nominate' ? rules.nominationTime : rules.biddingTime;
+        clearTimeout(this.turnTimeout);
+
+        this.broadcast({
+            type: 'turn',
+            phase,
+            name: participant.name,
+            playerId: player ? player.id : null,
+            isNominator,
+            seconds: participant.isAi ? null : seconds,
+        });
+
+        if (participant.isAi) {
+            this.turnTimeout = setTimeout(() => this.playTimedTurn(() => this.auction.playBotTurn()), rules.aiWait * 1000);
+        } else if (phase === 'nominate') {
+            this.turnTimeout = setTimeout(() => this.playTimedTurn(() => this.auction.nominate(null)), (seconds + GRACE_PERIOD) * 1000);
+        } else {
+            const bid = isNominator ? reservePrice(player, rules) : 0;
+            this.turnTimeout = setTimeout(() => this.playTimedTurn(() => this.auction.bid(bid)), (seconds + GRACE_PERIOD) * 1000);
+        }
+    }
+
+    // plays a turn from a timer, where an uncaught error would take the server, and every other room, down.
+    playTimedTurn(play) {
+        try {
+            play();
+        } catch (error) {
+            console.error(`Room ${this.code} could not play a ${this.auction.phase} turn:`, error);
+            this.broadcast({ type: 'error', message: 'The server could not play that turn.' });
+        }
+    }
+
+    snapshot() {
+        return this.auction.participants.map(participant => {
+            const { aggression, strategy, difficulty, watchlist, nominationQueue, ...data } = participant.toJSON();
+            return data;
+        });
+    }
+
+    sendLobby() {
+        this.broadcast({
+            type: 'lobby',
+            code: this.code,
+            leagueSize: this.settings.leagueSize,
+            seats: this.seats.map(seat => ({ name: seat.name, connected: seat.client !== null })),
+        });
+    }
+
+    /**
+     * Catches a reconnecting client up with the auction in progress.
+     *
+     * @param {Object} client - The client to send the state to.
+     */
+    sendState(client) {
+        if (!this.started) {
+            return;
+        }
+        const { auction } = this;
+        this.send(client, { type: 'started', seed: auction.random.seed, rules: auction.rules, dataset: this.dataset, participants: this.snapshot() });
+        this.send(client, { type: 'nominated', playerIds: [...auction.nominatedIds], history: auction.history });
+        if (auction.phase === 'complete') {
+            this.send(client, { type: 'complete', participants: this.snapshot() });
+            return;
+        }
+
+        const participant = auction.currentParticipant;
+        if (auction.lot) {
+            this.send(client, { type: 'nomination', name: auction.lot.nominator.name, playerId: auction.lot.player.id });
+        }
+        this.send(client, {
+            type: 'turn',
+            phase: auction.phase === 'nominating' ? 'nominate' : 'bid',
+            name: participant.name,
+            playerId: auction.lot ? auction.lot.player.id : null,
+            isNominator: Boolean(auction.lot) && participant === auction.lot.nominator,
+            seconds: null,
+        });
+    }
+
+    send(client, message) {
+        if (client) {
+            client.send(JSON.stringify(message));
+        }
+    }
+
+    broadcast(message) {
+        this.seats.forEach(seat => this.send(seat.client, message));
+    }
+
+    close() {
+        clearTimeout(this.turnTimeout);
+    }
+}
+
+module.exports = { Room };
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Player datasets. A dataset is a player pool with a name, the season it
+ * covers and its kind: one season's stats, a weighted average of several seasons, or
+ * projections. `datasets.json` lists the datasets the app offers; each one is either a file
+ * or a blend of other datasets in the list. Dataset files use a versioned schema, so older
+ * files (a bare list of players) are upgraded when they are read.
+ *
+ * In the browser it is exposed as `window.AuctionDatasets`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./players'));
+    } else {
+        root.AuctionDatasets = factory(root.AuctionPlayers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AuctionPlayers) {
+    'use strict';
+
+    const { validatePlayers } = AuctionPlayers;
+
+    const DATASET_SCHEMA_VERSION = 1;
+
+    /**
+     * The kinds of dataset. The label names the stats wherever a player is shown.
+     */
+    const DATASET_KINDS = {
+        season: { label: 'Last year' },
+        average: { label: 'Multi-season average' },
+        projection: { label: 'Projected' },
+    };
+
+    // per-game stats, averaged over games and weighted by season.
+    const PER_GAME_FIELDS = ['MP', 'fga', 'three_p', 'fta', 'rpg', 'apg', 'spg', 'bpg', 'tos', 'ppg'];
+    const PERCENT_FIELDS = { fg_pct: 'fga', ft_pct: 'fta' };
+
+    /**
+     * Checks a dataset against the current schema.
+     *
+     * @param {Object} dataset - The dataset.
+     * @returns {Array<string>} - One message per problem found; empty when the dataset is usable.
+     */
+    function validateDataset(dataset) {
+        if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+            return ['A dataset must be an object with a name, season, kind and players.'];
+        }
+        const errors = [];
+        if (dataset.schemaVersion !== DATASET_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${DATASET_SCHEMA_VERSION}.`);
+        }
+        if (typeof dataset.name !== 'string' || dataset.name.trim() === '') {
+            errors.push('name is missing.');
+        }
+        if (typeof dataset.season !== 'string' || dataset.season.trim() === '') {
+            errors.push('season is missing.');
+        }
+        if (!Object.prototype.hasOwnProperty.call(DATASET_KINDS, dataset.kind)) {
+            errors.push(`kind must be one of ${Object.keys(DATASET_KINDS).join(', ')}.`);
+        }
+        return [...errors, ...validatePlayers(dataset.players)];
+    }
+
+    /**
+     * Reads a dataset from parsed JSON, upgrading it to the current schema, and checks it.
+     *
+     * @param {Object|Array<Object>} data - The dataset, or a bare list of players from before
+     *        datasets had a schema.
+     * @param {{name: string, season: string, kind: string}} [defaults] - What to describe a bare
+     *        list of players as.
+     * @returns {Object} - The dataset.
+     * @throws {Error} If the dataset is from a newer version of the app or is invalid. The
+     *                 message names the first problems; `error.errors` holds all of them.
+     */
+    function readDataset(data, defaults = { name: 'Player data', season: 'Unknown', kind: 'season' }) {
+        const dataset = Array.isArray(data) ? { schemaVersion: DATASET_SCHEMA_VERSION, ...defaults, players: data } : data;
+        if (dataset && dataset.schemaVersion > DATASET_SCHEMA_VERSION) {
+            throw new Error('This dataset is from a newer version of the app.');
+        }
+
+        const errors = validateDataset(dataset);
+        if (errors.length > 0) {
+            const more = errors.length > 3 ? ` ...and ${errors.length - 3} more.` : '';
+            throw Object.assign(new Error(`The dataset cannot be used: ${errors.slice(0, 3).join(' ')}${more}`), { errors });
+        }
+        return dataset;
+    }
+
+    /**
+     * Averages several seasons into one dataset, weighting each season by its weight and by
+     * the games played in it. Percentages are weighted by attempts as well. The pool is the
+     * players of the first season; their team, position and age come from it too.
+     *
+     * @param {Array<{dataset: Object, weight: number}>} seasons - The seasons, most recent first.
+     *        Players are matched across seasons by ID.
+     * @param {{name: string, season: string}} description - The name and seasons of the average.
+     * @returns {Object} - The averaged dataset, of kind `average`.
+     * @throws {Error} If there are no seasons or any weight is not above 0.
+     */
+    function blendSeasons(seasons, { name, season }) {
+        // a weight of 0 would leave players without any games to average over.
+        if (!Array.isArray(seasons) || seasons.length === 0
+            || seasons.some(({ weight }) => typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0)) {
+            throw new Error('Every season in an average needs a weight above 0.');
+        }
+        const byId = seasons.map(({ dataset }) => new Map(dataset.players.map(player => [player.id, player])));
+
+        const players = seasons[0].dataset.players.map(current => {
+            const rows = seasons
+                .map(({ weight }, i) => ({ player: byId[i].get(current.id), weight }))
+                .filter(({ player }) => player);
+            const weighted = (field, share) => {
+                const total = rows.reduce((sum, row) => sum + share(row), 0);
+                return total > 0 ? rows.reduce((sum, row) => sum + (row.player[field] || 0) * share(row), 0) / total : 0;
+            };
+            const games = row => row.weight * row.player.games;
+
+            const blended = { ...current, games: Math.round(weighted('games', row => row.weight)) };
+            PER_GAME_FIELDS.filter(field => field in current).forEach(field => {
+                blended[field] = Math.round(weighted(field, games) * 10) / 10;
+            });
+            Object.entries(PERCENT_FIELDS).forEach(([field, attempts]) => {
+                blended[field] = blended[attempts] > 0
+                    ? Math.round(weighted(field, row => games(row) * (row.player[attempts] || 0)) * 1000) / 1000
+                    : null;
+            });
+            return blended;
+        });
+
+        return { schemaVersion: DATASET_SCHEMA_VERSION, name, season, kind: 'average', players };
+    }
+
+    /**
+     * Builds every dataset `datasets.json` lists.
+     *
+     * An entry is either a file, `{id, file}`, or an average of entries listed before it,
+     * `{id, name, season, blend: [{id, weight}]}`.
+     *
+     * @param {{schemaVersion: number, datasets: Array<Object>}} manifest - The parsed `datasets.json`.
+     * @param {Object<string, Object>} files - The parsed contents of every file the manifest names.
+     * @returns {Array<Object>} - The datasets, each with its `id`, in manifest order. The first is the default.
+     * @throws {Error} If the manifest or any dataset cannot be used.
+     */
+    function resolveDatasets(manifest, files) {
+        if (!manifest || manifest.schemaVersion !== DATASET_SCHEMA_VERSION || !Array.isArray(manifest.datasets) || manifest.datasets.length === 0) {
+            throw new Error(`datasets.json must have schemaVersion ${DATASET_SCHEMA_VERSION} and list at least one dataset.`);
+        }
+
+        const datasets = new Map();
+        manifest.datasets.forEach(entry => {
+            let dataset;
+            if (entry.blend) {
+                const blend = Array.isArray(entry.blend) ? entry.blend : [];
+                const missing = blend.find(({ id }) => !datasets.has(id));
+                if (missing) {
+                    throw new Error(`The ${entry.id} dataset averages ${missing.id}, which is not listed before it.`);
+                }
+                try {
+                    dataset = blendSeasons(blend.map(({ id, weight }) => ({ dataset: datasets.get(id), weight })), entry);
+                } catch (error) {
+                    throw new Error(`The ${entry.id} dataset cannot be used: ${error.message}`);
+                }
+            } else {
+                try {
+                    dataset = readDataset(files[entry.file]);
+                } catch (error) {
+                    throw new Error(`${entry.file}: ${error.message}`);
+                }
+            }
+            datasets.set(entry.id, { ...dataset, id: entry.id });
+        });
+        return [...datasets.values()];
+    }
+
+    return {
+        DATASET_SCHEMA_VERSION,
+        DATASET_KINDS,
+        validateDataset,
+        readDataset,
+        blendSeasons,
+        resolveDatasets,
+    };
+}));
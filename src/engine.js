@@ -0,0 +1,1908 @@
+/**
+ * @fileoverview The auction engine. It holds every rule of a blind auction (participants,
+ * budgets, bot valuations, awarding lots and ranking rosters) without touching the DOM,
+ * so the same code runs the browser UI, Node scripts and the Jest suite.
+ *
+ * In the browser it is exposed as `window.AuctionEngine`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'), require('./values'));
+    } else {
+        root.AuctionEngine = factory(root.AuctionRandom, root.AuctionValues);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AuctionRandom, AuctionValues) {
+    'use strict';
+
+    const { createRandom } = AuctionRandom;
+    const { buildValueModel, playerZScores, playerValue } = AuctionValues;
+
+    /**
+     * The stats teams are scored on, with the labels the UI shows for them.
+     */
+    const STAT_LABELS = {
+        fg_pct: 'FG%',
+        ft_pct: 'FT%',
+        ppg: 'PPG',
+        apg: 'APG',
+        rpg: 'RPG',
+        three_p: '3P',
+        spg: 'SPG',
+        bpg: 'BPG',
+        tos: 'TOS',
+    };
+
+    // percentages cannot be added up into fantasy points, so points leagues only weight the other stats.
+    const PERCENT_STATS = ['fg_pct', 'ft_pct'];
+
+    /**
+     * Common scoring systems. Category leagues compare teams stat by stat, and a category can be
+     * marked lower-is-better (turnovers); points leagues add up each stat times its weight.
+     */
+    const SCORING_PRESETS = {
+        nineCategory: {
+            type: 'categories',
+            categories: Object.keys(STAT_LABELS).map(stat => ({ stat, lowerIsBetter: stat === 'tos' })),
+        },
+        eightCategory: {
+            type: 'categories',
+            categories: Object.keys(STAT_LABELS).filter(stat => stat !== 'tos').map(stat => ({ stat, lowerIsBetter: false })),
+        },
+        points: {
+            type: 'points',
+            weights: { ppg: 1, apg: 1.5, rpg: 1.2, three_p: 1, spg: 3, bpg: 3, tos: -1 },
+        },
+    };
+
+    /**
+     * League rules used when nothing else is chosen. Bot valuations are tuned against
+     * these numbers and scaled when a league picks a different budget or roster size.
+     */
+    const DEFAULT_RULES = {
+        rosterSize: 13,
+        totalBudget: 200,
+        nominationTime: 20,
+        biddingTime: 20,
+        aiWait: 1.4,
+        priceRule: 'first',
+        minimumBid: 1,
+        bidIncrement: 1,
+        // reserve prices above the minimum bid, by player ID.
+        reserves: {},
+        tieBreakers: ['random'],
+        slots: { PG: 1, SG: 1, G: 1, SF: 1, PF: 1, F: 1, C: 2, UTIL: 2 },
+        scoring: SCORING_PRESETS.nineCategory,
+    };
+
+    /**
+     * The starting lineup slots a league can require, with the positions that may fill each.
+     * `null` means any position. Roster spots left over after the starting slots are bench
+     * spots, which anyone can fill.
+     */
+    const SLOT_ELIGIBILITY = {
+        PG: ['PG'],
+        SG: ['SG'],
+        G: ['PG', 'SG'],
+        SF: ['SF'],
+        PF: ['PF'],
+        F: ['SF', 'PF'],
+        C: ['C'],
+        UTIL: null,
+    };
+
+    const BENCH_SLOT = 'BN';
+
+    // generic positions some player lists use instead of the specific ones.
+    const POSITION_ALIASES = {
+        G: ['PG', 'SG'],
+        F: ['SF', 'PF'],
+    };
+
+    // how much less bots value a player who would only sit on their bench while starting slots are still open.
+    const BENCH_VALUE = 0.6;
+
+    // a bot's need in a category runs from the low end, when it beats every rival in it, to the high
+    // end, when it trails them all. It scales how much a player's output in that category is worth.
+    const NEED_RANGE = [0.5, 1.5];
+
+    // the most that spreading the remaining budget over the remaining spots can lower or raise a bid.
+    const SPEND_RANGE = [0.6, 1.5];
+
+    // how far bots let the money left in the league push prices below or above the suggested price.
+    const INFLATION_RANGE = [0.5, 2.5];
+
+    /**
+     * Bot difficulty levels, as determineValue options. Easy bots misjudge players and ignore
+     * what their roster needs; hard bots lean into their needs and bid with more conviction.
+     */
+    const BOT_DIFFICULTIES = {
+        easy: { label: 'Easy', need: 0, noise: 0.3, aggression: -6 },
+        normal: { label: 'Normal', need: 1, noise: 0, aggression: 0 },
+        hard: { label: 'Hard', need: 1.5, noise: 0, aggression: 6 },
+    };
+
+    /**
+     * How the winner of a lot is charged. Under `first` they pay their own sealed bid, under
+     * `second` (Vickrey) they pay the runner-up's bid plus the league's bid increment.
+     */
+    const PRICE_RULES = {
+        first: 'First-price',
+        second: 'Second-price',
+    };
+
+    /**
+     * Ways to settle a tie for the highest bid. A league chains them in priority order; each
+     * one narrows the tied bidders down until a single winner is left, and a random draw
+     * settles whatever the chain leaves tied.
+     */
+    const TIE_BREAKERS = {
+        nominator: 'Nominator wins',
+        budget: 'Most budget left',
+        roster: 'Fewest players rostered',
+        order: 'Earlier in the nomination order',
+        random: 'Random draw',
+    };
+
+    // keeps the tied bidders that win under each tie-breaker, given the lot's context.
+    const TIE_BREAK_FILTERS = {
+        nominator: (tied, { nominator }) => tied.filter(participant => participant === nominator),
+        budget: tied => keepBest(tied, participant => participant.budget - participant.spent),
+        roster: tied => keepBest(tied, participant => -participant.draftees),
+        order: (tied, { participants }) => keepBest(tied, participant => -participants.indexOf(participant)),
+        random: (tied, { random }) => [tied[random.integer(tied.length)]],
+    };
+
+    // under second-price, bidding what a player is really worth is the best strategy, so bots
+    // let their estimate run this much further past their usual aggression cap.
+    const SECOND_PRICE_CAP = 1.25;
+
+    // bumped whenever the shape of Auction.toJSON changes, so old saves are rejected cleanly.
+    const SAVE_VERSION = 1;
+
+    const RULE_PRESETS = {
+        standard: { ...DEFAULT_RULES },
+        deep: { ...DEFAULT_RULES, rosterSize: 15, totalBudget: 300 },
+        speed: { ...DEFAULT_RULES, nominationTime: 10, biddingTime: 10, aiWait: 0.5 },
+    };
+
+    const RULE_LIMITS = {
+        rosterSize: { min: 5, max: 20, integer: true, label: 'Roster size' },
+        totalBudget: { min: 20, max: 1000, integer: true, label: 'Budget' },
+        nominationTime: { min: 5, max: 120, integer: true, label: 'Nomination timer' },
+        biddingTime: { min: 5, max: 120, integer: true, label: 'Bidding timer' },
+        aiWait: { min: 0.2, max: 5, integer: false, label: 'Bot pace' },
+        minimumBid: { min: 1, max: 50, integer: true, label: 'Minimum bid' },
+        bidIncrement: { min: 1, max: 50, integer: true, label: 'Bid increment' },
+    };
+
+    /**
+     * Checks a set of league rules against RULE_LIMITS and PRICE_RULES.
+     *
+     * @param {Object} values - The rules to check, keyed like DEFAULT_RULES.
+     * @returns {Object<string, string>} - An error message for every rule that is invalid.
+     */
+    function validateRules(values) {
+        const errors = {};
+
+        Object.entries(RULE_LIMITS).forEach(([key, limit]) => {
+            const value = values[key];
+
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors[key] = `${limit.label} is required.`;
+            } else if (limit.integer && !Number.isInteger(value)) {
+                errors[key] = `${limit.label} must be a whole number.`;
+            } else if (value < limit.min || value > limit.max) {
+                errors[key] = `${limit.label} must be between ${limit.min} and ${limit.max}.`;
+            }
+        });
+
+        if (!Object.prototype.hasOwnProperty.call(PRICE_RULES, values.priceRule)) {
+            errors.priceRule = 'Price rule must be first-price or second-price.';
+        }
+
+        const { reserves = {} } = values;
+        const highestReserve = values.totalBudget - values.rosterSize * values.minimumBid;
+        if (!reserves || typeof reserves !== 'object' || Array.isArray(reserves) || Object.keys(reserves).some(id => !/^\d+$/.test(id))) {
+            errors.reserves = 'Reserve prices must be listed by player.';
+        } else if (!errors.totalBudget && !errors.rosterSize && !errors.minimumBid && Object.values(reserves).some(price =>
+            !Number.isInteger(price) || price < values.minimumBid || price > highestReserve)) {
+            errors.reserves = `Each reserve price has to be a whole number of dollars from $${values.minimumBid} to $${highestReserve}.`;
+        }
+
+        const { tieBreakers } = values;
+        if (!Array.isArray(tieBreakers) || tieBreakers.some(key => !Object.prototype.hasOwnProperty.call(TIE_BREAKERS, key))) {
+            errors.tieBreakers = 'Tie-breakers must be chosen from the list.';
+        } else if (new Set(tieBreakers).size !== tieBreakers.length) {
+            errors.tieBreakers = 'Each tie-breaker can only be used once.';
+        }
+
+        const { slots } = values;
+        if (!slots || typeof slots !== 'object' || Object.entries(slots).some(([slot, count]) =>
+            !Object.prototype.hasOwnProperty.call(SLOT_ELIGIBILITY, slot) || !Number.isInteger(count) || count < 0 || count > 5)) {
+            errors.slots = 'Each starting slot needs a whole number from 0 to 5.';
+        } else if (!errors.rosterSize) {
+            const starters = Object.values(slots).reduce((sum, count) => sum + count, 0);
+            if (starters > values.rosterSize) {
+                errors.slots = `The ${starters} starting slots need a roster size of at least ${starters}.`;
+            }
+        }
+
+        const scoringError = validateScoring(values.scoring);
+        if (scoringError) {
+            errors.scoring = scoringError;
+        }
+
+        if (!errors.totalBudget && !errors.rosterSize && !errors.minimumBid &&
+            values.totalBudget < values.rosterSize * values.minimumBid) {
+            errors.totalBudget = `Budget must allow at least $${values.minimumBid} for each of the ${values.rosterSize} roster spots.`;
+        }
+
+        return errors;
+    }
+
+    /**
+     * The least a player can be bid: the league's minimum bid, or the player's reserve price
+     * when the league set one.
+     *
+     * @param {Object} [player] - The player.
+     * @param {Object} rules - The league rules.
+     * @returns {number}
+     */
+    function reservePrice(player, rules) {
+        const reserve = player && rules.reserves ? rules.reserves[player.id] || 0 : 0;
+        return Math.max(rules.minimumBid, reserve);
+    }
+
+    // slot matching asks for the same players' positions over and over.
+    const positionCache = new WeakMap();
+
+    /**
+     * Checks a scoring config.
+     *
+     * @param {Object} scoring - The config, shaped like the entries of SCORING_PRESETS.
+     * @returns {string|null} - What is wrong with it, or null when it is usable.
+     */
+    function validateScoring(scoring) {
+        if (!scoring || typeof scoring !== 'object') {
+            return 'Choose a scoring system.';
+        }
+
+        if (scoring.type === 'categories') {
+            const { categories } = scoring;
+            if (!Array.isArray(categories) || categories.length === 0) {
+                return 'Choose at least one scoring category.';
+            }
+            if (categories.some(category => !category || !Object.prototype.hasOwnProperty.call(STAT_LABELS, category.stat))) {
+                return 'Scoring categories must be chosen from the stats list.';
+            }
+            if (new Set(categories.map(category => category.stat)).size !== categories.length) {
+                return 'Each stat can only be one scoring category.';
+            }
+            return null;
+        }
+
+        if (scoring.type === 'points') {
+            const weights = Object.entries(scoring.weights || {});
+            if (weights.some(([stat, weight]) => !Object.prototype.hasOwnProperty.call(STAT_LABELS, stat) ||
+                PERCENT_STATS.includes(stat) || typeof weight !== 'number' || !Number.isFinite(weight))) {
+                return 'Point weights must be numbers for counting stats.';
+            }
+            if (!weights.some(([, weight]) => weight !== 0)) {
+                return 'At least one stat needs a point weight.';
+            }
+            return null;
+        }
+
+        return 'Scoring must be categories or points.';
+    }
+
+    /**
+     * Reads the positions a player can play from their `pos`, including multi-position
+     * strings such as "SG-SF" or "PG/SG".
+     *
+     * @param {Object} player - The player.
+     * @returns {Array<string>} - The player's positions, such as ['SG', 'SF'].
+     */
+    function playerPositions(player) {
+        if (!positionCache.has(player)) {
+            const positions = String(player.pos || '').toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+            positionCache.set(player, [...new Set(positions.flatMap(position => POSITION_ALIASES[position] || [position]))]);
+        }
+        return positionCache.get(player);
+    }
+
+    function isEligible(player, slot) {
+        const positions = SLOT_ELIGIBILITY[slot];
+        return !positions || playerPositions(player).some(position => positions.includes(position));
+    }
+
+    /**
+     * Lists every roster spot of a league: the starting slots in SLOT_ELIGIBILITY order, then
+     * the bench spots that make up the rest of the roster size.
+     *
+     * @param {Object} rules - The league rules.
+     * @returns {Array<string>} - One slot name per roster spot, such as ['PG', 'SG', ..., 'BN'].
+     */
+    function rosterSlots(rules) {
+        const slots = Object.keys(SLOT_ELIGIBILITY).flatMap(slot => Array(rules.slots[slot] || 0).fill(slot));
+        while (slots.length < rules.rosterSize) {
+            slots.push(BENCH_SLOT);
+        }
+        return slots;
+    }
+
+    /**
+     * Matches players to slots (a bipartite matching). Players are placed in order, each in the
+     * earliest open slot it fits; players already placed are only moved when there is no open
+     * slot left for a later one, so early picks keep their starting spots.
+     *
+     * @param {Array<Object>} players - The players to place.
+     * @param {Array<string>} slots - The slots to place them in.
+     * @returns {{occupants: Array<number>, placed: number}} - The index of the player in each slot
+     *          (-1 when empty), and how many players found a slot.
+     */
+    function matchSlots(players, slots) {
+        const occupants = new Array(slots.length).fill(-1);
+
+        const place = (playerIndex, visited) => {
+            const eligible = slots.map((slot, i) => i).filter(i => !visited[i] && isEligible(players[playerIndex], slots[i]));
+            const open = eligible.find(i => occupants[i] === -1);
+            if (open !== undefined) {
+                occupants[open] = playerIndex;
+                return true;
+            }
+            for (const i of eligible) {
+                visited[i] = true;
+                if (place(occupants[i], visited)) {
+                    occupants[i] = playerIndex;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        const placed = players.filter((player, i) => place(i, [])).length;
+        return { occupants, placed };
+    }
+
+    /**
+     * Fits a roster into the league's slots, starting as many players as possible and putting
+     * the rest on the bench.
+     *
+     * @param {Array<Object>} players - The players on the roster.
+     * @param {Object} rules - The league rules.
+     * @returns {Array<number>|null} - The index into rosterSlots(rules) of each player's slot, or
+     *                                 null when the players cannot all be fitted.
+     */
+    function assignSlots(players, rules) {
+        const slots = rosterSlots(rules);
+        const starters = slots.filter(slot => slot !== BENCH_SLOT);
+        const { occupants } = matchSlots(players, starters);
+
+        const assignment = new Array(players.length).fill(-1);
+        occupants.forEach((playerIndex, slotIndex) => {
+            if (playerIndex !== -1) {
+                assignment[playerIndex] = slotIndex;
+            }
+        });
+
+        let benchIndex = starters.length;
+        for (let i = 0; i < players.length; i++) {
+            if (assignment[i] === -1) {
+                if (benchIndex === slots.length) {
+                    return null;
+                }
+                assignment[i] = benchIndex++;
+            }
+        }
+        return assignment;
+    }
+
+    /**
+     * Represents a participant in the auction, either a human or an AI.
+     *
+     * This class manages the participant's bidding, budget, and roster,
+     * along with their cumulative statistics. Participants can place bids,
+     * winning bids adds players to their roster, and their performance is tracked
+     * during the auction.
+     *
+     * @class
+     */
+    class Participant {
+        /**
+         * Creates an instance of Participant.
+         *
+         * @param {string} name - The name of the participant's team.
+         * @param {boolean} [isAi=false] - Indicates if the participant is an AI.
+         * @param {Object} [rules=DEFAULT_RULES] - The league rules the participant drafts under.
+         * @param {Object} [random] - The seeded generator used to assign aggression.
+         */
+        constructor(name, isAi = false, rules = DEFAULT_RULES, random = createRandom()) {
+            this.name = name;
+            // who runs the team, when the league has said.
+            this.owner = '';
+            this.rules = rules;
+            this.spent = 0;
+            this.draftees = 0;
+            this.budget = rules.totalBudget;
+            this.roster = [];
+            this.currentBid = 0;
+            this.rank = 0;
+            this.aggression = this.assignAggression(random);
+            this.isAi = isAi;
+            // how a bot plays, keys of BOT_STRATEGIES and BOT_DIFFICULTIES.
+            this.strategy = 'balanced';
+            this.difficulty = 'normal';
+            // player IDs a human is keeping an eye on, and the ones they want nominated for them, in order.
+            this.watchlist = [];
+            this.nominationQueue = [];
+
+            this.cumulativeStats = {
+                fg_pct: 0.0,
+                ft_pct: 0.0,
+                ppg: 0,
+                apg: 0,
+                rpg: 0,
+                three_p: 0,
+                spg: 0,
+                bpg: 0,
+                tos: 0,
+            };
+
+            this.otherStats = {
+                fga: 0,
+                fgm: 0,
+                fta: 0,
+                ftm: 0,
+            };
+        }
+
+        /**
+         * Determines approximately the biggest amount a bot will bid on any player.
+         *
+         * @param {Object} random - The seeded generator to draw from.
+         * @returns {number} A randomly assigned maximum bid.
+         */
+        assignAggression(random) {
+            const aggressionLevels = [43, 55, 65, 72];
+            const rand = random.integer(aggressionLevels.length);
+            return aggressionLevels[rand];
+        }
+
+        get playersLeft() {
+            return this.rules.rosterSize - this.draftees;
+        }
+
+        // keeps the minimum bid in hand for every roster spot still open.
+        get maxBid() {
+            return this.budget - this.spent - this.playersLeft * this.rules.minimumBid;
+        }
+
+
+        /**
+         * Whether the participant has a roster spot the player could fill, keeping every
+         * other player they have drafted in a slot they are eligible for.
+         *
+         * @param {Object} player - The player.
+         * @returns {boolean}
+         */
+        canRoster(player) {
+            return this.playersLeft > 0 && assignSlots([...this.rosteredPlayers(), player], this.rules) !== null;
+        }
+
+        /**
+         * Whether adding the player would fill one of the participant's open starting slots,
+         * rather than only a bench spot.
+         *
+         * @param {Object} player - The player.
+         * @returns {boolean}
+         */
+        fillsStarter(player) {
+            const starters = rosterSlots(this.rules).filter(slot => slot !== BENCH_SLOT);
+            const players = this.rosteredPlayers();
+            return matchSlots([...players, player], starters).placed > matchSlots(players, starters).placed;
+        }
+
+        get openStarterSlots() {
+            const starters = rosterSlots(this.rules).filter(slot => slot !== BENCH_SLOT);
+            return starters.length - matchSlots(this.rosteredPlayers(), starters).placed;
+        }
+
+        /**
+         * Lays the roster out by slot.
+         *
+         * @returns {Array<{slot: string, player: Object|null, bid: number|null, keeper: boolean}>} - One entry per
+         *          roster spot, in rosterSlots order. Empty spots have a null player.
+         */
+        lineup() {
+            const lineup = rosterSlots(this.rules).map(slot => ({ slot, player: null, bid: null, keeper: false }));
+            const assignment = assignSlots(this.rosteredPlayers(), this.rules) || this.roster.map((entry, i) => i);
+            this.roster.forEach(({ player, bid, keeper = false }, i) => {
+                Object.assign(lineup[assignment[i]], { player, bid, keeper });
+            });
+            return lineup;
+        }
+
+
+        rosteredPlayers() {
+            return this.roster.map(({ player }) => player);
+        }
+
+        /**
+         * Takes a player off the roster and recalculates the cumulative stats without them.
+         * Callers refund the price from `spent` themselves.
+         *
+         * @param {number} playerId - The ID of the player.
+         * @returns {{player: Object, bid: number, keeper: boolean}|null} - The roster entry removed,
+         *          or null when the player is not on the roster.
+         */
+        removePlayer(playerId) {
+            const index = this.roster.findIndex(({ player }) => player.id === playerId);
+            if (index === -1) {
+                return null;
+            }
+            const [{ player, bid, keeper = false }] = this.roster.splice(index, 1);
+            this.draftees--;
+            this.recalculateStats();
+            return { player, bid, keeper };
+        }
+
+
+        recalculateStats() {
+            Object.keys(this.cumulativeStats).forEach(key => {
+                this.cumulativeStats[key] = 0;
+            });
+            Object.keys(this.otherStats).forEach(key => {
+                this.otherStats[key] = 0;
+            });
+            this.roster.forEach(({ player }) => this.updateCumulativeStats(player));
+        }
+
+
+        /**
+         * Puts a player on the roster. Callers charge the price to `spent` themselves.
+         *
+         * @param {Object} player - The player.
+         * @param {number} bidAmount - What the player cost.
+         * @param {boolean} [keeper=false] - Whether the team kept the player from last season
+         *                                   rather than winning them in the auction.
+         */
+        addPlayer(player, bidAmount, keeper = false) {
+            this.draftees++;
+            this.roster.push(keeper ? { player, bid: bidAmount, keeper } : { player, bid: bidAmount });
+            this.updateCumulativeStats(player);
+        }
+
+
+        updateCumulativeStats(player) {
+            this.cumulativeStats.ppg += player.ppg || 0;
+            this.cumulativeStats.apg += player.apg || 0;
+            this.cumulativeStats.rpg += player.rpg || 0;
+            this.cumulativeStats.three_p += player.three_p || 0;
+            this.cumulativeStats.spg += player.spg || 0;
+            this.cumulativeStats.bpg += player.bpg || 0;
+            this.cumulativeStats.tos += player.tos || 0;
+            this.otherStats.fga += player.fga || 0;
+            this.otherStats.fta += player.fta || 0;
+
+
+            this.calculateMakes(player.fga, player.fg_pct, 'fgm');
+            this.calculateMakes(player.fta, player.ft_pct, 'ftm');
+            this.cumulativeStats.fg_pct = this.calculatePct(this.otherStats.fgm, this.otherStats.fga);
+            this.cumulativeStats.ft_pct = this.calculatePct(this.otherStats.ftm, this.otherStats.fta);
+        }
+
+        calculateMakes(attempts, pct, key) {
+            if (pct != null) {
+                this.otherStats[key] += pct * (attempts || 0) / 100;
+            }
+        }
+
+        calculatePct(makes, attempts) {
+            return attempts > 0 ? (makes / attempts) * 100 : 0;
+        }
+
+        adjustBudget() {
+            return this.maxBid;
+        }
+
+        /**
+         * Places a sealed bid. A bid of 0 passes, except for the nominator, who opens the bidding;
+         * any other bid has to be at least the league's minimum bid, at most the participant's
+         * max bid, and for a player the participant has a roster slot for.
+         *
+         * @param {number} amount - The amount to bid.
+         * @param {Object} [player] - The player being bid on.
+         * @param {boolean} [isNominator=false] - Whether the participant nominated the player.
+         * @returns {boolean} - Whether the bid was valid and placed.
+         */
+        placeBid(amount, player, isNominator = false) {
+            if (this.bidError(amount, player, isNominator) !== null) {
+                return false;
+            }
+            this.currentBid = amount;
+            return true;
+        }
+
+        /**
+         * Checks a bid against the rules placeBid enforces, and the player's reserve price.
+         *
+         * @param {number} amount - The amount to bid.
+         * @param {Object} [player] - The player being bid on.
+         * @param {boolean} [isNominator=false] - Whether the participant nominated the player.
+         * @returns {string|null} - Why the bid cannot be placed, or null when it can.
+         */
+        bidError(amount, player, isNominator = false) {
+            if (!Number.isInteger(amount) || amount < 0) {
+                return isNominator ? 'Bids are whole dollars.' : 'Bids are whole dollars; bid 0 to pass.';
+            }
+            if (amount === 0) {
+                return isNominator ? `The nominator opens the bidding, at $${reservePrice(player, this.rules)} or more.` : null;
+            }
+            if (player && !this.canRoster(player)) {
+                return `${this.name} has no roster spot for ${player.player}.`;
+            }
+            if (amount < this.rules.minimumBid) {
+                return `The minimum bid is $${this.rules.minimumBid}.`;
+            }
+            if (amount < reservePrice(player, this.rules)) {
+                return `${player.player}'s reserve price is $${reservePrice(player, this.rules)}.`;
+            }
+            if (amount > this.maxBid) {
+                return `Max bid is $${Math.max(0, this.maxBid)}.`;
+            }
+            return null;
+        }
+
+        /**
+         * Whether the participant can place any bid on the player: they have a roster slot for
+         * them and can afford the minimum bid, or the player's reserve price.
+         *
+         * @param {Object} player - The player.
+         * @returns {boolean}
+         */
+        canBid(player) {
+            return this.maxBid >= reservePrice(player, this.rules) && this.canRoster(player);
+        }
+
+        resetBid() {
+            this.currentBid = 0;
+        }
+
+        /**
+         * Serializes the participant. Roster entries only keep the player's ID, so the
+         * snapshot stays small enough to send over the network or store.
+         *
+         * @returns {Object} - A plain object that Participant.fromJSON can restore.
+         */
+        toJSON() {
+            return {
+                name: this.name,
+                owner: this.owner,
+                isAi: this.isAi,
+                aggression: this.aggression,
+                strategy: this.strategy,
+                difficulty: this.difficulty,
+                watchlist: [...this.watchlist],
+                nominationQueue: [...this.nominationQueue],
+                budget: this.budget,
+                spent: this.spent,
+                roster: this.roster.map(({ player, bid, keeper }) => (keeper ? { playerId: player.id, bid, keeper } : { playerId: player.id, bid })),
+            };
+        }
+
+        /**
+         * Restores a participant from toJSON output, re-adding each drafted player so the
+         * cumulative stats are recalculated.
+         *
+         * @param {Object} data - The serialized participant.
+         * @param {Array<Object>} players - The player pool the roster IDs refer to.
+         * @param {Object} [rules=DEFAULT_RULES] - The league rules the participant drafts under.
+         * @returns {Participant} - The restored participant.
+         */
+        static fromJSON(data, players, rules = DEFAULT_RULES) {
+            const participant = new Participant(data.name, data.isAi, rules);
+            participant.owner = typeof data.owner === 'string' ? data.owner : '';
+            participant.aggression = data.aggression;
+            participant.strategy = data.strategy || participant.strategy;
+            participant.difficulty = data.difficulty || participant.difficulty;
+            participant.watchlist = [...(data.watchlist || [])];
+            participant.nominationQueue = [...(data.nominationQueue || [])];
+            participant.budget = Number.isInteger(data.budget) ? data.budget : rules.totalBudget;
+            data.roster.forEach(({ playerId, bid, keeper }) => {
+                participant.addPlayer(players.find(player => player.id === playerId), bid, Boolean(keeper));
+            });
+            participant.spent = data.spent;
+            return participant;
+        }
+    }
+
+
+    function randomizeArray(array, random = createRandom()) {
+        return random.shuffle(array);
+    }
+
+    /**
+     * Compares the rosters of players head to head. The more teams a player's roster outranks others (based on
+     * last year's stats), the higher the team will be ranked. In a category league a team scores a point for
+     * every category it wins against every opponent; in a points league it scores one for every opponent whose
+     * fantasy points it beats.
+     *
+     *
+     * @param {Array<Participant>} participants - the array of Participant whose rosters will
+     *                                            be compared head to head.
+     * @param {Object} [scoring=DEFAULT_RULES.scoring] - the league's scoring config.
+     * @returns {Array<Participant>} - the sorted array of Participants ranked by their strength in head to head.
+     */
+    function calculateHeadToHeadPoints(participants, scoring = DEFAULT_RULES.scoring) {
+        let sortedParticipants = [...participants];
+        sortedParticipants.forEach(team => {
+            team.fantasyPoints = scoring.type === 'points' ? fantasyPoints(team.cumulativeStats, scoring.weights) : null;
+        });
+
+        sortedParticipants.forEach(team => {
+            team.h2hPoints = 0;
+
+            sortedParticipants.forEach(opponent => {
+                if (team !== opponent) {
+                    team.h2hPoints += matchupWins(team, opponent, scoring);
+                }
+            });
+        });
+
+        sortedParticipants.sort((a, b) => b.h2hPoints - a.h2hPoints);
+        sortedParticipants.forEach((participant, index) => {
+            participant.rank = index + 1;
+        });
+
+        return sortedParticipants;
+    }
+
+    function fantasyPoints(stats, weights) {
+        return Object.entries(weights).reduce((total, [stat, weight]) => total + (stats[stat] || 0) * weight, 0);
+    }
+
+    /**
+     * Scores one head to head matchup, as calculateHeadToHeadPoints does for every pair of teams.
+     * Points leagues need the teams' `fantasyPoints` from calculateHeadToHeadPoints first.
+     *
+     * @param {Participant} team - The team being scored.
+     * @param {Participant} opponent - The team it is up against.
+     * @param {Object} scoring - The league's scoring config.
+     * @returns {number} - The categories the team wins, or in a points league 1 when it scores more fantasy points.
+     */
+    function matchupWins(team, opponent, scoring) {
+        if (scoring.type === 'points') {
+            return team.fantasyPoints > opponent.fantasyPoints ? 1 : 0;
+        }
+        return scoring.categories.filter(({ stat, lowerIsBetter }) => {
+            const difference = team.cumulativeStats[stat] - opponent.cumulativeStats[stat];
+            return lowerIsBetter ? difference < 0 : difference > 0;
+        }).length;
+    }
+
+    /**
+     * Lists the categories a league's roto standings are ranked in: its scoring categories, or
+     * for a points league every stat it weights, with negatively weighted stats lower-is-better.
+     *
+     * @param {Object} [scoring=DEFAULT_RULES.scoring] - The league's scoring config.
+     * @returns {Array<{stat: string, lowerIsBetter: boolean}>} - The roto categories.
+     */
+    function rotoCategories(scoring = DEFAULT_RULES.scoring) {
+        if (scoring.type === 'points') {
+            return Object.keys(scoring.weights)
+                .filter(stat => scoring.weights[stat] !== 0)
+                .map(stat => ({ stat, lowerIsBetter: scoring.weights[stat] < 0 }));
+        }
+        return scoring.categories;
+    }
+
+    /**
+     * Ranks the rosters in rotisserie standings. In every category the best team earns N points
+     * and the worst 1, where N is the number of teams; teams tied in a category split the points
+     * of the places they share.
+     *
+     * Each participant gets `rotoPoints` (points per category stat), `rotoTotal` and `rotoRank`.
+     *
+     * @param {Array<Participant>} participants - The participants to rank.
+     * @param {Object} [scoring=DEFAULT_RULES.scoring] - The league's scoring config, see rotoCategories.
+     * @returns {Array<Participant>} - The participants sorted by roto total, best first.
+     */
+    function calculateRotoPoints(participants, scoring = DEFAULT_RULES.scoring) {
+        const categories = rotoCategories(scoring);
+        participants.forEach(team => {
+            team.rotoPoints = {};
+        });
+
+        categories.forEach(({ stat, lowerIsBetter }) => {
+            // worst first, so a team's place in the list is the points it earns.
+            const ordered = [...participants].sort((a, b) => lowerIsBetter
+                ? b.cumulativeStats[stat] - a.cumulativeStats[stat]
+                : a.cumulativeStats[stat] - b.cumulativeStats[stat]);
+
+            for (let start = 0; start < ordered.length;) {
+                let end = start;
+                while (end + 1 < ordered.length && ordered[end + 1].cumulativeStats[stat] === ordered[start].cumulativeStats[stat]) {
+                    end++;
+                }
+                // places start+1 .. end+1 are shared, so each tied team gets their average.
+                const points = (start + end + 2) / 2;
+                for (let i = start; i <= end; i++) {
+                    ordered[i].rotoPoints[stat] = points;
+                }
+                start = end + 1;
+            }
+        });
+
+        const sortedParticipants = [...participants];
+        sortedParticipants.forEach(team => {
+            team.rotoTotal = Object.values(team.rotoPoints).reduce((total, points) => total + points, 0);
+        });
+        sortedParticipants.sort((a, b) => b.rotoTotal - a.rotoTotal);
+        sortedParticipants.forEach((team, index) => {
+            team.rotoRank = index + 1;
+        });
+
+        return sortedParticipants;
+    }
+
+    /**
+     * Determines the bidding value spent by AI for a player. It starts from the player's suggested
+     * price (see suggestedPrice) and adjusts it for the current bidder's category needs (see
+     * categoryNeed), aggression, and league size, and for how much of its budget the bidder has
+     * left for each roster spot it still has to fill.
+     *
+     * It also ensures the calculated value does not exceed
+     * the current bidder's maximum bid. Under a second-price rule bots bid closer to
+     * their full estimate, since what they pay is set by the runner-up.
+     *
+     * @param {Participant} currentBidder - The AI determining the bid value.
+     * @param {Object} player - The player for whom the bid value is being determined.
+     * @param {boolean} isNominator - Indicates if the current bidder is the nominator.
+     * @param {{rules: Object, leagueSize: number, random: Object, participants: Array<Participant>,
+     *          players: Array<Object>}} league - The league the auction is run in, usually the Auction itself.
+     * @param {{punt: Array<string>, need: number, noise: number, aggression: number}} [options] - How a bot
+     *        strategy and difficulty bend the valuation: stats to ignore, how strongly category needs count
+     *        (1 as usual, 0 to ignore them), how much random error to add (0.25 is up to 25% either way)
+     *        and how much to shift the bidder's aggression by.
+     * @returns {number} - The calculated bidding value for the player, capped at the current bidder's max bid,
+     *                     or 0 when it does not reach the league's minimum bid.
+     */
+    function determineValue(currentBidder, player, isNominator, league, options = {}) {
+        const { punt = [], need = 1, noise = 0, aggression = 0 } = options;
+        const { rules, leagueSize } = league;
+        const random = league.random || createRandom();
+        if (currentBidder.draftees == rules.rosterSize || !currentBidder.canRoster(player)) return 0;
+
+
+        let leagueMultiplier = 1;
+
+
+        if (currentBidder.aggression < 55 && leagueSize <= 12) {
+            leagueMultiplier = 1.05 + 0.39 * (leagueSize / 12);
+        } else if (leagueSize <= 12) {
+            leagueMultiplier = 1.1;
+        } else if (leagueSize >= 16 && currentBidder.aggression > 55) {
+            leagueMultiplier = .87;
+        }
+
+
+        const leagueAggression = Math.round(Math.pow(0.04911 * leagueSize, 2) - (0.3964 * leagueSize)
+        + (currentBidder.aggression * leagueMultiplier)) + aggression;
+
+        // spread what is left of the budget over the spots left to fill: a bot flush with cash for its
+        // last few spots bids more, one stretching its money over a lot of open spots bids less.
+        const perSpot = (currentBidder.budget - currentBidder.spent) / (rules.rosterSize - currentBidder.draftees);
+        const spendFactor = Math.min(SPEND_RANGE[1], Math.max(SPEND_RANGE[0],
+            Math.sqrt(perSpot / (rules.totalBudget / rules.rosterSize))));
+        const max_value = Math.max(0, leagueAggression + random.integer(9) - 3.3);
+
+        // aggression caps are tuned to the default rules, so scale them by how many dollars the
+        // league has per roster spot compared to the default.
+        const valueScale = (rules.totalBudget / DEFAULT_RULES.totalBudget) *
+                           (DEFAULT_RULES.rosterSize / rules.rosterSize);
+
+        const inflation = leagueInflation(league);
+        let totalScore = suggestedPrice(player, league, punt) * (inflation || 1);
+
+        // once nobody left is worth more than the minimum bid, spread the money that would
+        // otherwise go unspent over the spots still open. Until then a bot with money to spare
+        // still puts the minimum on anyone it can use, rather than let them go for nothing.
+        if (inflation === null) {
+            totalScore = Math.max(totalScore, perSpot);
+        } else if (perSpot >= 2 * rules.minimumBid) {
+            totalScore = Math.max(totalScore, rules.minimumBid);
+        }
+
+        if (player.games < 55) {
+            totalScore *= 0.8;
+        }
+
+        totalScore *= 1 + need * (categoryNeed(currentBidder, player, league, punt) - 1);
+
+        if (noise > 0) {
+            totalScore *= 1 + noise * (2 * random.next() - 1);
+        }
+
+        // a player who would only reach the bench is worth less while starting slots are open.
+        if (currentBidder.openStarterSlots > 0 && !currentBidder.fillsStarter(player)) {
+            totalScore *= BENCH_VALUE;
+        }
+
+        if (isNominator && totalScore < rules.minimumBid) {
+            totalScore = rules.minimumBid;
+        }
+
+        const cap = (rules.priceRule === 'second' ? max_value * SECOND_PRICE_CAP : max_value) * valueScale;
+        let worth = Math.round(Math.min(totalScore, cap) * spendFactor);
+        if (isNominator) {
+            worth = Math.max(worth, rules.minimumBid);
+        }
+        worth = Math.min(worth, currentBidder.maxBid);
+        return worth >= rules.minimumBid ? worth : 0;
+    }
+
+    /**
+     * Weighs a player's output by how badly the bidder needs each of the league's categories. The
+     * bidder's need in a category comes from how many rivals it currently beats there; the player's
+     * output in it is their z-score from the value engine, where the percentage categories are
+     * weighted by attempts, so a high-volume shooter moves a team's FG% far more than a bench big.
+     *
+     * The result is the need-weighted average over the player's output, 1 when the bidder is middle
+     * of the pack everywhere (or has not drafted yet). A team already strong in blocks gets well under
+     * 1 for a shot-blocker, and one trailing in assists well over 1 for a playmaker.
+     *
+     * @param {Participant} bidder - The team valuing the player.
+     * @param {Object} player - The player being valued.
+     * @param {{rules: Object, leagueSize: number, participants: Array<Participant>, players: Array<Object>}} league -
+     *        The league, usually the Auction itself. Without participants and players no need is applied.
+     * @param {Array<string>} [punt=[]] - Categories the bidder has given up on and ignores.
+     * @returns {number} - A multiplier between NEED_RANGE[0] and NEED_RANGE[1].
+     */
+    function categoryNeed(bidder, player, league, punt = []) {
+        if (!league.participants || !league.players) {
+            return 1;
+        }
+        const model = buildValueModel(league.players, valuationLeague(league, punt));
+        const scores = playerZScores(player, model);
+        const rivals = league.participants.filter(participant => participant !== bidder && participant.draftees > 0);
+
+        let weighted = 0;
+        let total = 0;
+        model.categories.forEach(category => {
+            // an average rostered player gives 1, one a standard deviation below average nothing.
+            const output = Math.min(3, Math.max(0, 1 + scores[category.stat]));
+            const need = NEED_RANGE[1] - (NEED_RANGE[1] - NEED_RANGE[0]) * categoryStanding(bidder, rivals, category);
+            weighted += output * need;
+            total += output;
+        });
+        return total > 0 ? weighted / total : 1;
+    }
+
+    // the share of rivals a team beats in a category, comparing counting stats per rostered player.
+    function categoryStanding(team, rivals, { stat, lowerIsBetter }) {
+        if (team.draftees === 0 || rivals.length === 0) {
+            return 0.5;
+        }
+        const level = participant => PERCENT_STATS.includes(stat)
+            ? participant.cumulativeStats[stat]
+            : participant.cumulativeStats[stat] / participant.draftees;
+
+        const mine = level(team);
+        const beaten = rivals.reduce((sum, rival) => {
+            const difference = mine - level(rival);
+            if (difference === 0) {
+                return sum + 0.5;
+            }
+            return sum + ((lowerIsBetter ? difference < 0 : difference > 0) ? 1 : 0);
+        }, 0);
+        return beaten / rivals.length;
+    }
+
+    /**
+     * Describes a league to the value engine: its size, budget and the categories (or, in a points
+     * league, the weights) players are rated on, less any punted stats.
+     *
+     * @param {{rules: Object, leagueSize: number}} league - The league.
+     * @param {Array<string>} [punt=[]] - Stats to leave out.
+     * @returns {Object} - The league, as buildValueModel takes it.
+     */
+    function valuationLeague({ rules, leagueSize }, punt = []) {
+        const { scoring } = rules;
+        const weights = scoring.type === 'points'
+            ? Object.fromEntries(Object.entries(scoring.weights).filter(([stat]) => !punt.includes(stat)))
+            : null;
+        return {
+            leagueSize,
+            rosterSize: rules.rosterSize,
+            totalBudget: rules.totalBudget,
+            minimumBid: rules.minimumBid,
+            categories: rotoCategories(scoring).filter(({ stat }) => !punt.includes(stat)),
+            weights,
+        };
+    }
+
+    /**
+     * What a player is worth in a league: per-category z-scores over the pool, replacement level at
+     * the last player a full league rosters, and the surplus over it converted into dollars so the
+     * rosterable players add up to the league's whole budget. See values.js.
+     *
+     * @param {Object} player - The player.
+     * @param {{rules: Object, leagueSize: number, players: Array<Object>}} league - The league and its player pool,
+     *        usually the Auction itself.
+     * @param {Array<string>} [punt=[]] - Stats to leave out, for a bot punting them.
+     * @returns {number} - The dollar value, unrounded; 0 for a player below replacement level.
+     */
+    function suggestedPrice(player, league, punt = []) {
+        return playerValue(player, buildValueModel(league.players, valuationLeague(league, punt)));
+    }
+
+    /**
+     * Compares the money the teams have left to spend with the value left in the pool: the
+     * suggested prices, above the minimum bid, of the best undrafted players that would fill
+     * every open roster spot. When teams have overpaid or underpaid so far, the remaining
+     * players are worth that much more or less to them.
+     *
+     * @param {Auction} league - The auction. Anything without participants and a pool gets 1.
+     * @returns {number|null} - The inflation rate, within INFLATION_RANGE, or null when nobody left is
+     *                          worth more than the minimum bid.
+     */
+    function leagueInflation(league) {
+        if (!league.participants || !league.players || !league.nominatedIds) {
+            return 1;
+        }
+        const { rules } = league;
+        const prices = suggestedPrices(league.players, rules, league.leagueSize);
+        const spotsLeft = league.participants.reduce((sum, participant) => sum + participant.playersLeft, 0);
+        const money = league.participants.reduce((sum, participant) => sum + Math.max(0, participant.maxBid), 0);
+
+        if (!rankingCache.has(prices)) {
+            rankingCache.set(prices, [...prices.entries()].sort((a, b) => b[1] - a[1]));
+        }
+        const onTheBlock = league.lot ? league.lot.player.id : null;
+        let value = 0;
+        let counted = 0;
+        for (const [id, price] of rankingCache.get(prices)) {
+            if (counted === spotsLeft || price <= rules.minimumBid) {
+                break;
+            }
+            if (!league.nominatedIds.has(id) || id === onTheBlock) {
+                value += price - rules.minimumBid;
+                counted++;
+            }
+        }
+        return value > 0 ? Math.min(INFLATION_RANGE[1], Math.max(INFLATION_RANGE[0], money / value)) : null;
+    }
+
+    const priceCache = new WeakMap();
+    // the entries of each cached price list, most expensive first.
+    const rankingCache = new WeakMap();
+
+    /**
+     * Prices the whole pool for a league, for the suggested-price column.
+     *
+     * @param {Array<Object>} players - The player pool.
+     * @param {Object} rules - The league rules.
+     * @param {number} leagueSize - The number of teams.
+     * @returns {Map<number, number>} - Each player's suggested price, rounded to whole dollars, by ID. The
+     *                                 map is cached and shared, so callers must not change it.
+     */
+    function suggestedPrices(players, rules, leagueSize) {
+        const model = buildValueModel(players, valuationLeague({ rules, leagueSize }));
+        if (!priceCache.has(model)) {
+            priceCache.set(model, new Map(players.map(player => [player.id, Math.round(playerValue(player, model))])));
+        }
+        return priceCache.get(model);
+    }
+
+    /**
+     * Awards a player to whoever placed the highest sealed bid. Teams without a roster slot
+     * for the player cannot win the lot, and ties are settled by the league's tie-breakers, see breakTie.
+     * What the winner pays depends on the league's price rule, see lotPrice.
+     *
+     * @param {Array<Participant>} participants - Every participant in the auction in nomination order,
+     *                                            holding their current bids.
+     * @param {Object} player - The player being awarded.
+     * @param {Object} [random] - The seeded generator used to break ties.
+     * @param {Object} [rules=DEFAULT_RULES] - The league rules.
+     * @param {Participant} [nominator] - Who nominated the player.
+     * @returns {{winner: Participant, price: number, tiedBidders: Array<Participant>, tieBreak: string|null}} -
+     *          Who won the player, what they paid, everyone who had bid that much and the
+     *          tie-breaker that decided the lot, if there was a tie.
+     */
+    function selectHighestBid(participants, player, random = createRandom(), rules = DEFAULT_RULES, nominator = null) {
+        const eligible = participants.filter(participant => participant.canRoster(player));
+        const highestBid = Math.max(...eligible.map(participant => participant.currentBid));
+        const highestBidders = eligible.filter(participant => participant.currentBid === highestBid);
+        const { winner, tieBreak } = breakTie(highestBidders, { participants, nominator, random, tieBreakers: rules.tieBreakers });
+        const price = lotPrice(winner, eligible.filter(participant => participant !== winner), rules, player);
+
+        winner.spent += price;
+        winner.addPlayer(player, price);
+        return { winner, price, tiedBidders: highestBidders, tieBreak };
+    }
+
+    /**
+     * Picks one winner out of the tied highest bidders by running the tie-breakers in order.
+     *
+     * @param {Array<Participant>} tied - The highest bidders.
+     * @param {{participants: Array<Participant>, nominator: Participant, random: Object,
+     *          tieBreakers: Array<string>}} context - The lot being decided and the league's tie-breakers.
+     * @returns {{winner: Participant, tieBreak: string|null}} - The winner and the key of the
+     *          tie-breaker that singled them out, or null when nobody tied.
+     */
+    function breakTie(tied, context) {
+        if (tied.length === 1) {
+            return { winner: tied[0], tieBreak: null };
+        }
+
+        let remaining = tied;
+        for (const key of [...context.tieBreakers, 'random']) {
+            const narrowed = TIE_BREAK_FILTERS[key](remaining, context);
+            if (narrowed.length > 0) {
+                remaining = narrowed;
+            }
+            if (remaining.length === 1) {
+                return { winner: remaining[0], tieBreak: key };
+            }
+        }
+        return { winner: remaining[0], tieBreak: 'random' };
+    }
+
+
+    function keepBest(participants, score) {
+        const best = Math.max(...participants.map(score));
+        return participants.filter(participant => score(participant) === best);
+    }
+
+    /**
+     * Works out what the winner of a lot pays. Under first-price that is their own bid. Under
+     * second-price it is the runner-up's bid plus the bid increment, or the minimum bid when
+     * nobody else bid, but never less than the player's reserve price or more than the winner offered.
+     *
+     * @param {Participant} winner - The winning bidder.
+     * @param {Array<Participant>} others - The other participants who could have won the lot.
+     * @param {Object} rules - The league rules.
+     * @param {Object} [player] - The player on the block.
+     * @returns {number} - The price of the lot.
+     */
+    function lotPrice(winner, others, rules, player) {
+        if (rules.priceRule !== 'second' || winner.currentBid === 0) {
+            return winner.currentBid;
+        }
+        const runnerUp = Math.max(0, ...others.map(participant => participant.currentBid));
+        const price = runnerUp > 0 ? runnerUp + rules.bidIncrement : rules.minimumBid;
+        return Math.min(Math.max(price, reservePrice(player, rules)), winner.currentBid);
+    }
+
+    /**
+     * Bot personalities. A strategy gets the state of the auction on the bot's turn,
+     * `{auction, participant, player, isNominator}` (`player` is null when nominating), and decides:
+     *
+     * - `bid(state)`: what to bid on the lot. It is kept within the bot's max bid, see fitBotBid.
+     * - `nominate(state)`: the ID of the player to put up, or null for the first available player
+     *   the bot can bid on.
+     *
+     * Bids usually start from botValue, determineValue under the bot's difficulty.
+     */
+    const BOT_STRATEGIES = {
+        balanced: {
+            label: 'Balanced',
+            bid: state => botValue(state),
+            nominate: () => null,
+        },
+        starsAndScrubs: {
+            label: 'Stars and scrubs',
+            // pays up for the few players worth more than two average roster spots, then fills out
+            // the roster with whoever is left cheap.
+            bid: state => {
+                const { rules } = state.auction;
+                const value = botValue(state);
+                const averageSpot = rules.totalBudget / rules.rosterSize;
+                if (value >= 2 * averageSpot) {
+                    return value * 1.3;
+                }
+                return value >= averageSpot / 2 ? value * 0.5 : value;
+            },
+            nominate: () => null,
+        },
+        puntFreeThrows: {
+            label: 'Punt FT%',
+            bid: state => botValue(state, { punt: ['ft_pct'] }),
+            nominate: () => null,
+        },
+        puntAssists: {
+            label: 'Punt assists',
+            bid: state => botValue(state, { punt: ['apg'] }),
+            nominate: () => null,
+        },
+        valueHunter: {
+            label: 'Value hunter',
+            // only buys at a discount, and nominates the priciest player left to drain its rivals' budgets.
+            bid: state => botValue(state) * 0.8,
+            nominate: ({ auction, participant }) => {
+                const prices = suggestedPrices(auction.players, auction.rules, auction.leagueSize);
+                const bait = auction.availablePlayers()
+                    .filter(player => participant.canBid(player))
+                    .reduce((best, player) => (!best || prices.get(player.id) > prices.get(best.id) ? player : best), null);
+                return bait ? bait.id : null;
+            },
+        },
+        budgetDumper: {
+            label: 'Budget dumper',
+            // spends big until half its budget is gone.
+            bid: state => {
+                const { participant } = state;
+                return botValue(state) * (participant.spent < participant.budget / 2 ? 1.4 : 1);
+            },
+            nominate: () => null,
+        },
+    };
+
+    // determineValue under the bot's difficulty, with any strategy options on top.
+    function botValue({ auction, participant, player, isNominator }, options = {}) {
+        const difficulty = BOT_DIFFICULTIES[participant.difficulty] || BOT_DIFFICULTIES.normal;
+        return determineValue(participant, player, isNominator, auction, { ...difficulty, ...options });
+    }
+
+    /**
+     * Turns what a strategy wants to bid into a bid the auction accepts: a whole number within the
+     * bot's max bid, at least the player's reserve price for the nominator, and a pass when the bot
+     * cannot roster the player or would bid under the reserve price, see reservePrice.
+     *
+     * @param {number} amount - The amount the strategy wants to bid.
+     * @param {Participant} participant - The bot.
+     * @param {Object} player - The player on the block.
+     * @param {boolean} isNominator - Whether the bot nominated the player.
+     * @returns {number} - The bid to place.
+     */
+    function fitBotBid(amount, participant, player, isNominator) {
+        const reserve = reservePrice(player, participant.rules);
+        if (!participant.canBid(player)) {
+            return 0;
+        }
+        let bid = Math.min(Math.round(amount) || 0, participant.maxBid);
+        if (isNominator) {
+            bid = Math.max(bid, reserve);
+        }
+        return bid >= reserve ? bid : 0;
+    }
+
+    /**
+     * Runs an auction as a state machine. The auction moves through rounds of nominations;
+     * every participant nominates once per round and the lot is then bid on in turn, starting
+     * with the nominator, who has to open the bidding. Teams that cannot bid on any player left
+     * are passed over when it is their turn to nominate. Callers drive it by calling `nominate`, `bid` or `playBotTurn` for
+     * the participant whose turn it is, and listen for the events it emits:
+     *
+     * - `turn` `{phase, participant, player, isNominator}`: someone has to nominate or bid.
+     * - `nomination` `{participant, player}`: a player was put up for auction.
+     * - `bid` `{participant, amount, accepted, skipped}`: a sealed bid was submitted. Teams that
+     *   cannot legally bid on the player pass without getting a turn, with `skipped` set.
+     * - `award` `{winner, player, price, bids, record}`: a lot was closed. `bids` holds every
+     *   sealed bid for the lot as `{participant, amount}`, in bidding order, and `record` is the
+     *   entry added to the auction's `history`.
+     * - `complete` `{participants}`: no team can bid on any player left, usually because every roster is full.
+     *
+     * - `pause` and `resume` `{entry}`: the commissioner paused or resumed the auction.
+     * - `correction` `{entry}`: the commissioner undid a lot, moved a player or changed a budget.
+     *
+     * Players teams keep from last season are put on their rosters with `addKeeper` before the
+     * auction starts. The commissioner's corrections can only be made while the auction is
+     * paused; each one calls off the lot being bid on, if any, and every commissioner action is
+     * recorded in `auditLog`.
+     *
+     * @class
+     */
+    class Auction {
+        /**
+         * Creates an instance of Auction.
+         *
+         * @param {Array<Participant>} participants - The participants, in nomination order.
+         * @param {Array<Object>} players - The pool of players that can be nominated.
+         * @param {Object} [rules=DEFAULT_RULES] - The league rules.
+         * @param {Object} [random] - The seeded generator behind every random choice in the auction.
+         */
+        constructor(participants, players, rules = DEFAULT_RULES, random = createRandom()) {
+            this.participants = participants;
+            this.players = players;
+            this.rules = rules;
+            this.random = random;
+            this.phase = 'pending';
+            this.round = 1;
+            this.nominatorIndex = 0;
+            // players who have been nominated or kept, and are out of the pool.
+            this.nominatedIds = new Set();
+            this.lot = null;
+            this.history = [];
+            this.paused = false;
+            // whether the commissioner changed anything during the current pause.
+            this.corrected = false;
+            this.auditLog = [];
+            this.listeners = {};
+        }
+
+        get leagueSize() {
+            return this.participants.length;
+        }
+
+        /**
+         * The participant who has to act next, or null when nobody does.
+         *
+         * @returns {Participant|null}
+         */
+        get currentParticipant() {
+            if (this.phase === 'nominating') {
+                return this.participants[this.nominatorIndex];
+            }
+            if (this.phase === 'bidding') {
+                return this.lot.bidders[this.lot.bidIndex];
+            }
+            return null;
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => {
+                this.listeners[event] = this.listeners[event].filter(listener => listener !== handler);
+            };
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach(handler => handler(payload));
+        }
+
+        getPlayer(id) {
+            return this.players.find(player => player.id === id);
+        }
+
+        /**
+         * Checks whether the current nominator can put a player up for auction. The nominator
+         * opens the bidding, so they can only nominate players they can bid on; a player nobody
+         * bid on would otherwise go for nothing.
+         *
+         * @param {Object} [player] - The player.
+         * @returns {string|null} - Why the player cannot be nominated, or null when they can.
+         */
+        nominationError(player) {
+            const nominator = this.participants[this.nominatorIndex];
+            if (!player) {
+                return 'That player is not in the player data.';
+            }
+            if (this.nominatedIds.has(player.id)) {
+                return `${player.player} has already been nominated.`;
+            }
+            if (!nominator.canBid(player)) {
+                return `${nominator.name} cannot bid on ${player.player}, so cannot nominate them.`;
+            }
+            return null;
+        }
+
+        // whether the participant can bid on any player left, and so has someone to nominate.
+        canNominate(participant) {
+            return this.availablePlayers().some(player => participant.canBid(player));
+        }
+
+
+        availablePlayers() {
+            return this.players.filter(player => !this.nominatedIds.has(player.id));
+        }
+
+
+        defaultNomination(nominator) {
+            const queued = this.queuedNomination(nominator);
+            if (queued) {
+                return queued;
+            }
+            return this.availablePlayers().find(player => nominator.canBid(player)) || null;
+        }
+
+        /**
+         * Finds the next player in a participant's nomination queue they can still nominate.
+         *
+         * @param {Participant} participant - The participant.
+         * @returns {Object|null} - The player, or null when nobody left in the queue is available.
+         */
+        queuedNomination(participant) {
+            return participant.nominationQueue
+                .map(playerId => this.getPlayer(playerId))
+                .find(player => player && !this.nominatedIds.has(player.id) && participant.canBid(player)) || null;
+        }
+
+        /**
+         * Puts a player a team kept from last season on its roster before the auction starts.
+         * The keeper price is charged to the team's budget, the player takes one of its roster
+         * spots and is never nominated.
+         *
+         * @param {Participant} participant - The team keeping the player.
+         * @param {number} playerId - The ID of the kept player.
+         * @param {number} price - What the team pays to keep them, at least the minimum bid.
+         * @returns {string|null} - Why the player cannot be kept, or null when they were.
+         */
+        addKeeper(participant, playerId, price) {
+            const { minimumBid } = this.rules;
+            const player = this.getPlayer(playerId);
+            if (this.phase !== 'pending' || this.history.length > 0) {
+                return 'Keepers can only be added before the auction starts.';
+            }
+            if (!player) {
+                return 'That player is not in the player data.';
+            }
+            if (this.nominatedIds.has(player.id)) {
+                return `${player.player} is already kept.`;
+            }
+            if (!Number.isInteger(price) || price < minimumBid) {
+                return `A keeper price has to be a whole number of dollars, at least $${minimumBid}.`;
+            }
+            if (!participant.canRoster(player)) {
+                return `${participant.name} has no roster spot left for ${player.player}.`;
+            }
+            // the kept player fills one of the spots maxBid keeps the minimum bid in hand for.
+            if (price - minimumBid > participant.maxBid) {
+                return `${participant.name} cannot afford ${player.player} at $${price}.`;
+            }
+
+            participant.spent += price;
+            participant.addPlayer(player, price, true);
+            this.nominatedIds.add(player.id);
+            calculateHeadToHeadPoints(this.participants, this.rules.scoring);
+            return null;
+        }
+
+        start() {
+            if (this.phase !== 'pending') {
+                return;
+            }
+            this.phase = 'nominating';
+            this.settleNominator();
+            this.emitNextTurn();
+        }
+
+        /**
+         * Puts a player up for auction for the current nominator.
+         *
+         * @param {number|null} playerId - The ID of the nominated player. If null, the next available
+         *                                 player in the nominator's queue is nominated; with none, the first
+         *                                 available player the nominator can bid on.
+         * @returns {boolean} - Whether the nomination was accepted, see nominationError.
+         */
+        nominate(playerId) {
+            if (this.phase !== 'nominating' || this.paused) {
+                return false;
+            }
+
+            const nominator = this.participants[this.nominatorIndex];
+            const player = playerId === null ? this.defaultNomination(nominator) : this.getPlayer(playerId);
+            if (this.nominationError(player) !== null) {
+                return false;
+            }
+
+            const j = this.nominatorIndex;
+            this.nominatedIds.add(player.id);
+            this.lot = {
+                player,
+                nominator,
+                bidders: [nominator, ...this.participants.slice(j + 1), ...this.participants.slice(0, j)],
+                bidIndex: 0,
+            };
+            this.phase = 'bidding';
+
+            this.emit('nomination', { participant: nominator, player });
+            this.nextBidder();
+            return true;
+        }
+
+        /**
+         * Submits the current bidder's sealed bid for the lot.
+         *
+         * @param {number} amount - The amount bid.
+         * @returns {boolean} - Whether the bid was valid, see Participant#bidError. A bid that is
+         *                      not is recorded as 0, or as the player's reserve price for the nominator.
+         */
+        bid(amount) {
+            if (this.phase !== 'bidding' || this.paused) {
+                return false;
+            }
+
+            const bidder = this.currentParticipant;
+            const isNominator = bidder === this.lot.nominator;
+            const accepted = bidder.placeBid(amount, this.lot.player, isNominator);
+            if (!accepted && isNominator) {
+                bidder.currentBid = reservePrice(this.lot.player, this.rules);
+            }
+            this.emit('bid', { participant: bidder, amount, accepted, skipped: false });
+
+            this.lot.bidIndex++;
+            this.nextBidder();
+            return accepted;
+        }
+
+        // hands the lot to the next team that can bid, passing for the ones that cannot, or closes it.
+        nextBidder() {
+            const { bidders, player } = this.lot;
+            while (this.lot.bidIndex < bidders.length && !bidders[this.lot.bidIndex].canBid(player)) {
+                const participant = bidders[this.lot.bidIndex];
+                participant.resetBid();
+                this.emit('bid', { participant, amount: 0, accepted: true, skipped: true });
+                this.lot.bidIndex++;
+            }
+
+            if (this.lot.bidIndex < bidders.length) {
+                this.emitTurn();
+            } else {
+                this.closeLot();
+            }
+        }
+
+        /**
+         * Plays the current turn for a bot with its strategy from BOT_STRATEGIES. A nomination the
+         * auction rejects falls back to the first available player some team has a slot for.
+         */
+        playBotTurn() {
+            const participant = this.currentParticipant;
+            if (!participant || !participant.isAi || this.paused) {
+                return;
+            }
+
+            const strategy = BOT_STRATEGIES[participant.strategy] || BOT_STRATEGIES.balanced;
+            if (this.phase === 'nominating') {
+                const playerId = strategy.nominate({ auction: this, participant, player: null, isNominator: true });
+                if (playerId === null || !this.nominate(playerId)) {
+                    this.nominate(null);
+                }
+            } else {
+                const { player } = this.lot;
+                const isNominator = participant === this.lot.nominator;
+                const amount = strategy.bid({ auction: this, participant, player, isNominator });
+                this.bid(fitBotBid(amount, participant, player, isNominator));
+            }
+        }
+
+        closeLot() {
+            const { player, nominator, bidders } = this.lot;
+            const bids = bidders.map(participant => ({ participant, amount: participant.currentBid }));
+            const { winner, price, tiedBidders, tieBreak } = selectHighestBid(this.participants, player, this.random, this.rules, nominator);
+            const record = this.recordLot({ player, nominator, bids, winner, price, tiedBidders, tieBreak });
+            calculateHeadToHeadPoints(this.participants, this.rules.scoring);
+            this.participants.forEach(participant => participant.resetBid());
+            this.lot = null;
+
+            // move on before announcing the award, so anything saved on `award` resumes at the next nomination.
+            this.advance();
+            this.emit('award', { winner, player, price, bids, record });
+            this.emitNextTurn();
+        }
+
+        // announces whose turn it is, or that the auction is over.
+        emitNextTurn() {
+            if (this.phase === 'complete') {
+                this.emit('complete', { participants: this.participants });
+            } else {
+                this.emitTurn();
+            }
+        }
+
+        /**
+         * Adds a closed lot to the auction's history. Records only hold names and IDs, so they
+         * can be saved, sent to clients and shown after the draft as they are.
+         *
+         * @returns {{lot: number, round: number, nominator: string, playerId: number, player: string,
+         *            bids: Array<{name: string, amount: number}>, winner: string, price: number,
+         *            tiedWith: Array<string>, tieBreak: string|null, closedAt: number}} - The new record.
+         *          `tiedWith` names the other highest bidders and `tieBreak` the tie-breaker that
+         *          decided the lot when there was a tie.
+         */
+        recordLot({ player, nominator, bids, winner, price, tiedBidders, tieBreak }) {
+            const record = {
+                lot: this.history.length + 1,
+                round: this.round,
+                nominator: nominator.name,
+                playerId: player.id,
+                player: player.player,
+                bids: bids.map(({ participant, amount }) => ({ name: participant.name, amount })),
+                winner: winner.name,
+                price,
+                tiedWith: tiedBidders.filter(participant => participant !== winner).map(participant => participant.name),
+                tieBreak,
+                closedAt: Date.now(),
+            };
+            this.history.push(record);
+            return record;
+        }
+
+        advance() {
+            this.passNomination();
+            this.settleNominator();
+        }
+
+        passNomination() {
+            this.nominatorIndex++;
+            if (this.nominatorIndex === this.participants.length) {
+                this.nominatorIndex = 0;
+                this.round++;
+            }
+        }
+
+        // passes over nominators who cannot bid on any player left, and ends the auction when every team is one.
+        settleNominator() {
+            for (let passed = 0; passed < this.participants.length; passed++) {
+                if (this.canNominate(this.participants[this.nominatorIndex])) {
+                    this.phase = 'nominating';
+                    return;
+                }
+                this.passNomination();
+            }
+            this.phase = 'complete';
+        }
+
+        /**
+         * Pauses the auction for the commissioner. Nothing can be nominated or bid until it resumes.
+         *
+         * @returns {boolean} - Whether the auction was running and is now paused.
+         */
+        pause() {
+            if (this.paused || (this.phase !== 'nominating' && this.phase !== 'bidding')) {
+                return false;
+            }
+            this.paused = true;
+            this.corrected = false;
+            this.emit('pause', { entry: this.logAction('pause', 'Paused the auction.') });
+            return true;
+        }
+
+        /**
+         * Resumes a paused auction. When the commissioner made corrections during the pause, the
+         * turn starts over; otherwise the turn that was paused carries on.
+         *
+         * @returns {boolean} - Whether the turn started over, with a new `turn` event, or `complete`
+         *                      when the corrections left nobody who can nominate.
+         */
+        resume() {
+            if (!this.paused) {
+                return false;
+            }
+            this.paused = false;
+            this.emit('resume', { entry: this.logAction('resume', 'Resumed the auction.') });
+            if (this.corrected) {
+                this.corrected = false;
+                this.settleNominator();
+                this.emitNextTurn();
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Takes back the last awarded lot: the player goes back into the pool, whoever has them
+         * gets the price back and the lot's nominator nominates again.
+         *
+         * @returns {string|null} - Why the lot cannot be undone, or null when it was.
+         */
+        undoLastLot() {
+            const record = this.history[this.history.length - 1];
+            if (!this.paused) {
+                return 'Pause the auction first.';
+            }
+            if (!record) {
+                return 'No lot has been awarded yet.';
+            }
+
+            this.cancelLot();
+            // the commissioner may have moved the player since the lot closed.
+            const owner = this.participants.find(participant => participant.roster.some(({ player }) => player.id === record.playerId));
+            if (owner) {
+                owner.spent -= owner.removePlayer(record.playerId).bid;
+            }
+            this.nominatedIds.delete(record.playerId);
+            this.history.pop();
+            this.round = record.round;
+            this.nominatorIndex = Math.max(0, this.participants.findIndex(participant => participant.name === record.nominator));
+            this.correct('undo', `Undid lot ${record.lot}: ${record.player} is back in the pool and ${owner ? owner.name : record.winner} gets $${record.price} back.`);
+            return null;
+        }
+
+        /**
+         * Moves a drafted or kept player to another team, at the price they went for.
+         *
+         * @param {number} playerId - The ID of the player.
+         * @param {Participant} to - The team getting the player.
+         * @returns {string|null} - Why the player cannot be moved, or null when they were.
+         */
+        movePlayer(playerId, to) {
+            const from = this.participants.find(participant => participant.roster.some(({ player }) => player.id === playerId));
+            if (!this.paused) {
+                return 'Pause the auction first.';
+            }
+            if (!from) {
+                return 'That player is not on a roster.';
+            }
+            const { player, bid, keeper = false } = from.roster.find(entry => entry.player.id === playerId);
+            if (from === to) {
+                return `${player.player} is already on ${to.name}.`;
+            }
+            if (!to.canRoster(player)) {
+                return `${to.name} has no roster spot left for ${player.player}.`;
+            }
+            if (bid - this.rules.minimumBid > to.maxBid) {
+                return `${to.name} cannot afford ${player.player} at $${bid}.`;
+            }
+
+            this.cancelLot();
+            from.removePlayer(playerId);
+            from.spent -= bid;
+            to.spent += bid;
+            to.addPlayer(player, bid, keeper);
+            this.correct('move', `Moved ${player.player} ($${bid}) from ${from.name} to ${to.name}.`);
+            return null;
+        }
+
+        /**
+         * Changes a team's budget. It has to cover what the team has spent and the minimum bid
+         * for every roster spot it has left.
+         *
+         * @param {Participant} participant - The team.
+         * @param {number} budget - The new budget.
+         * @returns {string|null} - Why the budget cannot be set, or null when it was.
+         */
+        setBudget(participant, budget) {
+            const lowest = participant.spent + participant.playersLeft * this.rules.minimumBid;
+            if (!this.paused) {
+                return 'Pause the auction first.';
+            }
+            if (!Number.isInteger(budget) || budget < lowest) {
+                return `${participant.name}'s budget has to be a whole number of dollars, at least $${lowest}.`;
+            }
+
+            const previous = participant.budget;
+            this.cancelLot();
+            participant.budget = budget;
+            this.correct('budget', `Changed ${participant.name}'s budget from $${previous} to $${budget}.`);
+            return null;
+        }
+
+        // calls off the lot being bid on; its player goes back into the pool and the nominator nominates again.
+        cancelLot() {
+            if (this.phase !== 'bidding') {
+                return;
+            }
+            this.participants.forEach(participant => participant.resetBid());
+            this.nominatedIds.delete(this.lot.player.id);
+            this.lot = null;
+            this.phase = 'nominating';
+        }
+
+        // records a correction; the turn starts over on resume since the rosters it was based on have changed.
+        correct(action, description) {
+            this.corrected = true;
+            calculateHeadToHeadPoints(this.participants, this.rules.scoring);
+            this.emit('correction', { entry: this.logAction(action, description) });
+        }
+
+        /**
+         * Adds an entry to the audit trail of commissioner actions.
+         *
+         * @param {string} action - What was done: `pause`, `resume`, `undo`, `move` or `budget`.
+         * @param {string} description - The action in words.
+         * @returns {{action: string, description: string, round: number, lot: number, at: number}} - The entry;
+         *          `lot` counts the lots awarded before the action.
+         */
+        logAction(action, description) {
+            const entry = { action, description, round: this.round, lot: this.history.length, at: Date.now() };
+            this.auditLog.push(entry);
+            return entry;
+        }
+
+        /**
+         * Serializes the auction between lots: the rules, the participants in nomination order,
+         * whose nomination it is, which players are gone, the bid history, the commissioner's
+         * audit trail and where the seeded generator is.
+         * A lot that is still being bid on is not saved; it is nominated again on resume.
+         *
+         * @returns {Object} - A plain object that Auction.fromJSON can restore.
+         */
+        toJSON() {
+            return {
+                version: SAVE_VERSION,
+                rules: this.rules,
+                seed: this.random.seed,
+                randomState: this.random.getState(),
+                round: this.round,
+                nominatorIndex: this.nominatorIndex,
+                nominatedIds: [...this.nominatedIds],
+                participants: this.participants.map(participant => participant.toJSON()),
+                history: this.history,
+                auditLog: this.auditLog,
+            };
+        }
+
+        /**
+         * Restores an auction saved with toJSON. The restored auction is pending; call start()
+         * to hand the turn to the saved nominator.
+         *
+         * @param {Object} data - The saved auction.
+         * @param {Array<Object>} players - The player pool the saved IDs refer to.
+         * @returns {Auction} - The restored auction.
+         * @throws {Error} If the save is from another version or does not match the player pool.
+         */
+        static fromJSON(data, players) {
+            if (!data || data.version !== SAVE_VERSION) {
+                throw new Error('This save is from a different version of the app and cannot be resumed.');
+            }
+
+            // rules added since the save was made keep their defaults.
+            const rules = { ...DEFAULT_RULES, ...data.rules };
+            const errors = validateRules(rules);
+            if (Object.keys(errors).length > 0) {
+                throw new Error(`The saved league rules are invalid: ${Object.values(errors)[0]}`);
+            }
+
+            const knownIds = new Set(players.map(player => player.id));
+            const savedIds = [
+                ...data.nominatedIds,
+                ...data.participants.flatMap(participant => participant.roster.map(({ playerId }) => playerId)),
+            ];
+            if (savedIds.some(id => !knownIds.has(id))) {
+                throw new Error('The save refers to players that are not in the player data.');
+            }
+
+            const participants = data.participants.map(participant => Participant.fromJSON(participant, players, rules));
+            const auction = new Auction(participants, players, rules, createRandom(data.seed, data.randomState));
+            auction.round = data.round;
+            auction.nominatorIndex = data.nominatorIndex;
+            auction.nominatedIds = new Set(data.nominatedIds);
+            auction.history = Array.isArray(data.history) ? data.history : [];
+            auction.auditLog = Array.isArray(data.auditLog) ? data.auditLog : [];
+            calculateHeadToHeadPoints(participants, rules.scoring);
+            return auction;
+        }
+
+        emitTurn() {
+            const participant = this.currentParticipant;
+            this.emit('turn', {
+                phase: this.phase === 'nominating' ? 'nominate' : 'bid',
+                participant,
+                player: this.lot ? this.lot.player : null,
+                isNominator: Boolean(this.lot) && participant === this.lot.nominator,
+            });
+        }
+    }
+
+    return {
+        SAVE_VERSION,
+        DEFAULT_RULES,
+        RULE_PRESETS,
+        RULE_LIMITS,
+        PRICE_RULES,
+        TIE_BREAKERS,
+        STAT_LABELS,
+        PERCENT_STATS,
+        SCORING_PRESETS,
+        SLOT_ELIGIBILITY,
+        BENCH_SLOT,
+        validateRules,
+        reservePrice,
+        Participant,
+        Auction,
+        randomizeArray,
+        calculateHeadToHeadPoints,
+        matchupWins,
+        calculateRotoPoints,
+        rotoCategories,
+        validateScoring,
+        determineValue,
+        categoryNeed,
+        BOT_STRATEGIES,
+        BOT_DIFFICULTIES,
+        fitBotBid,
+        suggestedPrice,
+        suggestedPrices,
+        selectHighestBid,
+        lotPrice,
+        breakTie,
+        playerPositions,
+        rosterSlots,
+        assignSlots,
+    };
+}));
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview League profiles. A profile is a named league: its teams, who owns each one,
+ * which seats real players take and how the bots play, and the league rules. Profiles are
+ * saved in the browser so a league can be set up again next season in one step, and use a
+ * versioned schema like datasets and saves.
+ *
+ * In the browser it is exposed as `window.AuctionLeagues`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        root.AuctionLeagues = factory(root.AuctionEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AuctionEngine) {
+    'use strict';
+
+    const { DEFAULT_RULES, BOT_STRATEGIES, BOT_DIFFICULTIES, validateRules } = AuctionEngine;
+
+    const LEAGUE_PROFILE_VERSION = 1;
+    // the longest team, owner or profile name; online player names have the same limit.
+    const NAME_LENGTH = 24;
+    const LEAGUE_SIZE = { min: 4, max: 20 };
+
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Gives every team without a name the name it had before teams could be named:
+     * `Player N` for real players and `Bot N` for bots, counted separately.
+     *
+     * @param {Array<{name: string, owner: string, isAi: boolean}>} teams - The teams, in seat order.
+     * @returns {Array<Object>} - Copies of the teams with names and owners trimmed and filled in.
+     */
+    function nameTeams(teams) {
+        const counts = { human: 0, bot: 0 };
+        return teams.map(team => {
+            const kind = team.isAi ? 'bot' : 'human';
+            counts[kind]++;
+            const name = String(team.name || '').trim();
+            return {
+                ...team,
+                name: name || `${team.isAi ? 'Bot' : 'Player'} ${counts[kind]}`,
+                owner: String(team.owner || '').trim(),
+            };
+        });
+    }
+
+    /**
+     * Checks a league's teams: how many there are, their names and owners, and how each bot plays.
+     *
+     * @param {Array<Object>} teams - The teams, as returned by nameTeams.
+     * @returns {Array<string>} - One message per problem found; empty when the teams are usable.
+     */
+    function validateTeams(teams) {
+        if (!Array.isArray(teams) || teams.length < LEAGUE_SIZE.min || teams.length > LEAGUE_SIZE.max) {
+            return [`A league has between ${LEAGUE_SIZE.min} and ${LEAGUE_SIZE.max} teams.`];
+        }
+        const errors = [];
+        const seen = new Set();
+        teams.forEach((team, i) => {
+            const name = typeof team.name === 'string' ? team.name.trim() : '';
+            if (!name) {
+                errors.push(`Team ${i + 1} needs a name.`);
+            } else if (name.length > NAME_LENGTH) {
+                errors.push(`${name} is longer than ${NAME_LENGTH} characters.`);
+            } else if (seen.has(name.toLowerCase())) {
+                errors.push(`There is more than one team called ${name}.`);
+            }
+            seen.add(name.toLowerCase());
+            if (typeof team.owner !== 'string' || team.owner.length > NAME_LENGTH) {
+                errors.push(`${name || `Team ${i + 1}`}'s owner has to be at most ${NAME_LENGTH} characters.`);
+            }
+            if (team.isAi && (!has(BOT_STRATEGIES, team.strategy) || !has(BOT_DIFFICULTIES, team.difficulty))) {
+                errors.push(`${name || `Team ${i + 1}`} needs a known personality and difficulty.`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Builds a league profile to save.
+     *
+     * @param {string} name - What the league is called.
+     * @param {Array<Object>} teams - The teams, as returned by nameTeams, in seat order.
+     * @param {Object} rules - The league rules.
+     * @returns {{schemaVersion: number, name: string, teams: Array<Object>, rules: Object}} - The profile.
+     *          Each team is {name, owner, isAi}, with the bot's `strategy` and `difficulty` for bots.
+     */
+    function createLeagueProfile(name, teams, rules) {
+        return {
+            schemaVersion: LEAGUE_PROFILE_VERSION,
+            name: String(name).trim(),
+            teams: teams.map(({ name: teamName, owner, isAi, strategy, difficulty }) => (isAi
+                ? { name: teamName, owner, isAi, strategy, difficulty }
+                : { name: teamName, owner, isAi })),
+            rules,
+        };
+    }
+
+    /**
+     * Reads a saved league profile and checks it. Rules added since the profile was saved
+     * keep their defaults.
+     *
+     * @param {Object} data - The parsed profile.
+     * @returns {Object} - The profile.
+     * @throws {Error} If the profile is from a newer version of the app or cannot be used.
+     */
+    function readLeagueProfile(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('That is not a league profile.');
+        }
+        if (data.schemaVersion > LEAGUE_PROFILE_VERSION) {
+            throw new Error('This league profile is from a newer version of the app.');
+        }
+        if (data.schemaVersion !== LEAGUE_PROFILE_VERSION || typeof data.name !== 'string' || !data.name.trim()
+            || data.name.length > NAME_LENGTH) {
+            throw new Error('That is not a league profile.');
+        }
+
+        const rules = { ...DEFAULT_RULES, ...data.rules };
+        const problems = [...validateTeams(data.teams), ...Object.values(validateRules(rules))];
+        if (problems.length > 0) {
+            throw new Error(`The league profile ${data.name} cannot be used: ${problems[0]}`);
+        }
+        return { ...data, rules };
+    }
+
+    return {
+        LEAGUE_PROFILE_VERSION,
+        NAME_LENGTH,
+        nameTeams,
+        validateTeams,
+        createLeagueProfile,
+        readLeagueProfile,
+    };
+}));
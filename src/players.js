@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Player data. Imports a Basketball-Reference style per-game CSV into the
+ * player pool format of a dataset's `players`, and checks a pool before an auction uses it. A player traded mid-season appears once, on their season total row, and keeps
+ * the ID they had in the previous pool so saves and seeds stay valid across updates.
+ *
+ * In the browser it is exposed as `window.AuctionPlayers`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AuctionPlayers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // the pool field each CSV column fills. Columns with several names list every spelling.
+    const CSV_COLUMNS = {
+        player: ['Player'],
+        age: ['Age'],
+        team: ['Team', 'Tm'],
+        pos: ['Pos'],
+        games: ['G'],
+        GS: ['GS'],
+        MP: ['MP'],
+        fga: ['FGA'],
+        fg_pct: ['FG%'],
+        three_p: ['3P'],
+        fta: ['FTA'],
+        ft_pct: ['FT%'],
+        rpg: ['TRB'],
+        apg: ['AST'],
+        spg: ['STL'],
+        bpg: ['BLK'],
+        tos: ['TOV'],
+        ppg: ['PTS'],
+    };
+    const OPTIONAL_FIELDS = ['age', 'GS', 'MP'];
+    const TEXT_FIELDS = ['player', 'team', 'pos'];
+    // per-game stats, which a player on several teams averages over their games.
+    const PER_GAME_FIELDS = ['MP', 'fga', 'three_p', 'fta', 'rpg', 'apg', 'spg', 'bpg', 'tos', 'ppg'];
+    // each percentage, and the attempts it is a rate of. A player with no attempts has no percentage.
+    const PERCENT_FIELDS = { fg_pct: 'fga', ft_pct: 'fta' };
+    const STAT_FIELDS = ['fga', 'three_p', 'fta', 'rpg', 'apg', 'spg', 'bpg', 'tos', 'ppg'];
+    // the team Basketball-Reference gives a traded player's season total row: TOT, or 2TM, 3TM...
+    const TOTAL_TEAM = /^(TOT|\d+TM)$/;
+    // how many problems an import error lists before summing up the rest.
+    const ERRORS_SHOWN = 10;
+
+    /**
+     * Splits CSV text into rows of fields. Quoted fields may hold commas, quotes ("") and line breaks.
+     *
+     * @param {string} text - The CSV text.
+     * @returns {Array<Array<string>>} - The rows, blank lines left out.
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = String(text).replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+
+    function normalizeName(name) {
+        return String(name).normalize('NFC').trim().toLowerCase();
+    }
+
+
+    function describe(player, index) {
+        const name = typeof player.player === 'string' && player.player.trim() ? player.player : `Player ${index + 1}`;
+        return player.id === undefined ? name : `${name} (id ${player.id})`;
+    }
+
+    /**
+     * Checks a player pool: every player needs a unique ID and name, a team and position,
+     * a whole number of games and non-negative stats, with percentages between 0 and 1.
+     *
+     * @param {Array<Object>} players - The pool, in the format of a dataset's `players`.
+     * @returns {Array<string>} - One message per problem found; empty when the pool is usable.
+     */
+    function validatePlayers(players) {
+        if (!Array.isArray(players)) {
+            return ['The player data must be a list of players.'];
+        }
+        if (players.length === 0) {
+            return ['The player data has no players.'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        const names = new Set();
+        players.forEach((player, index) => {
+            if (!player || typeof player !== 'object') {
+                errors.push(`Player ${index + 1} is not an object.`);
+                return;
+            }
+            const name = describe(player, index);
+
+            if (!Number.isInteger(player.id) || player.id < 1) {
+                errors.push(`${name}: id must be a positive whole number.`);
+            } else if (ids.has(player.id)) {
+                errors.push(`${name}: id ${player.id} is used by another player.`);
+            }
+            ids.add(player.id);
+
+            TEXT_FIELDS.forEach(field => {
+                if (typeof player[field] !== 'string' || player[field].trim() === '') {
+                    errors.push(`${name}: ${field} is missing.`);
+                }
+            });
+            if (typeof player.player === 'string') {
+                if (names.has(normalizeName(player.player))) {
+                    errors.push(`${name}: listed more than once. Keep only their season total row.`);
+                }
+                names.add(normalizeName(player.player));
+            }
+
+            if (player.games === undefined && player.G !== undefined) {
+                errors.push(`${name}: games played must be in games, not G.`);
+            } else if (!Number.isInteger(player.games) || player.games < 1) {
+                errors.push(`${name}: games must be a whole number of at least 1.`);
+            }
+
+            STAT_FIELDS.forEach(field => {
+                if (typeof player[field] !== 'number' || !Number.isFinite(player[field]) || player[field] < 0) {
+                    errors.push(`${name}: ${field} must be a number of at least 0.`);
+                }
+            });
+            Object.entries(PERCENT_FIELDS).forEach(([field, attempts]) => {
+                const value = player[field];
+                if (value === null || value === undefined) {
+                    if (player[attempts] > 0) {
+                        errors.push(`${name}: ${field} is missing but ${attempts} is ${player[attempts]}.`);
+                    }
+                } else if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+                    errors.push(`${name}: ${field} must be between 0 and 1, not ${value}.`);
+                }
+            });
+        });
+        return errors;
+    }
+
+
+    function readRow(fields, columns, line, errors) {
+        const record = { line };
+        Object.keys(CSV_COLUMNS).forEach(field => {
+            const column = columns[field];
+            const raw = column === -1 || fields[column] === undefined ? '' : fields[column].trim();
+            if (TEXT_FIELDS.includes(field)) {
+                record[field] = raw;
+                return;
+            }
+            if (raw === '') {
+                // a missing percentage is fine for a player with no attempts; validatePlayers catches the rest.
+                record[field] = PERCENT_FIELDS[field] || OPTIONAL_FIELDS.includes(field) ? null : undefined;
+                return;
+            }
+            const value = Number(raw);
+            if (!Number.isFinite(value)) {
+                errors.push(`Line ${line} (${record.player || 'unnamed'}): ${CSV_COLUMNS[field][0]} must be a number, not "${raw}".`);
+            }
+            record[field] = value;
+        });
+
+        // older exports put the player's Basketball-Reference ID after a backslash in the name.
+        const [name, key] = record.player.split('\\');
+        record.player = name.replace(/\*$/, '').trim();
+        record.key = (columns.key !== -1 && fields[columns.key] ? fields[columns.key].trim() : key) || normalizeName(record.player);
+        return record;
+    }
+
+    // one player's rows: their season total row if Basketball-Reference has one, otherwise a
+    // games-weighted total of their rows for each team.
+    function collapseRows(rows) {
+        if (rows.length === 1) {
+            return rows[0];
+        }
+        const total = rows.find(row => TOTAL_TEAM.test(row.team));
+        if (total) {
+            return total;
+        }
+
+        const games = rows.reduce((sum, row) => sum + (row.games || 0), 0);
+        const weighted = (field, weight) => {
+            const weights = rows.reduce((sum, row) => sum + weight(row), 0);
+            return weights > 0 ? rows.reduce((sum, row) => sum + (row[field] || 0) * weight(row), 0) / weights : 0;
+        };
+        const combined = { ...rows[0], team: `${rows.length}TM`, games, GS: rows.reduce((sum, row) => sum + (row.GS || 0), 0) };
+        combined.age = Math.max(...rows.map(row => row.age || 0)) || null;
+        PER_GAME_FIELDS.forEach(field => {
+            combined[field] = Math.round(weighted(field, row => row.games || 0) * 10) / 10;
+        });
+        Object.entries(PERCENT_FIELDS).forEach(([field, attempts]) => {
+            combined[field] = combined[attempts] > 0
+                ? Math.round(weighted(field, row => (row[attempts] || 0) * (row.games || 0)) * 1000) / 1000
+                : null;
+        });
+        return combined;
+    }
+
+    /**
+     * Imports a Basketball-Reference style per-game CSV as a player pool.
+     *
+     * Repeated header rows and the league average row are skipped. A player with a row for
+     * every team they played for becomes one player: their TOT (or 2TM, 3TM...) row when the
+     * CSV has it, otherwise their team rows combined. Players found in `previous` by name keep
+     * their ID; new players get IDs after the highest one in use.
+     *
+     * @param {string} text - The CSV text. It needs the Player, Team (or Tm), Pos, G, FGA, FG%,
+     *                        3P, FTA, FT%, TRB, AST, STL, BLK, TOV and PTS columns.
+     * @param {Array<Object>} [previous=[]] - The pool being replaced, whose IDs are kept.
+     * @returns {Array<Object>} - The players, in the order of the CSV.
+     * @throws {Error} If a required column is missing or any player's data is invalid. The
+     *                 message lists the problems; `error.errors` holds all of them.
+     */
+    function importPlayers(text, previous = []) {
+        const [header = [], ...lines] = parseCSV(text);
+        const names = header.map(name => name.trim());
+        const columns = { key: names.indexOf('Player-additional') };
+        const missing = [];
+        Object.entries(CSV_COLUMNS).forEach(([field, spellings]) => {
+            columns[field] = names.findIndex(name => spellings.includes(name));
+            if (columns[field] === -1 && !OPTIONAL_FIELDS.includes(field)) {
+                missing.push(spellings.join(' or '));
+            }
+        });
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`The CSV is missing the ${missing.join(', ')} column${missing.length === 1 ? '' : 's'}.`), { errors: missing });
+        }
+
+        const errors = [];
+        const groups = new Map();
+        lines.forEach((fields, index) => {
+            const name = (fields[columns.player] || '').trim();
+            if (name === 'Player' || name === 'League Average') {
+                return;
+            }
+            // the header is line 1.
+            const record = readRow(fields, columns, index + 2, errors);
+            if (!groups.has(record.key)) {
+                groups.set(record.key, []);
+            }
+            groups.get(record.key).push(record);
+        });
+
+        const previousIds = new Map((previous || []).map(player => [normalizeName(player.player), player.id]));
+        const taken = new Set();
+        let nextId = Math.max(0, ...(previous || []).map(player => player.id).filter(Number.isInteger)) + 1;
+
+        const players = [...groups.values()].map(rows => {
+            const { line, key, ...player } = collapseRows(rows);
+            const previousId = previousIds.get(normalizeName(player.player));
+            const id = previousId !== undefined && !taken.has(previousId) ? previousId : nextId++;
+            taken.add(id);
+            return { id, ...player };
+        });
+
+        errors.push(...validatePlayers(players));
+        if (errors.length > 0) {
+            const shown = errors.slice(0, ERRORS_SHOWN);
+            const more = errors.length - shown.length;
+            throw Object.assign(new Error([
+                `The CSV has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`,
+                ...shown,
+                ...(more > 0 ? [`...and ${more} more.`] : []),
+            ].join('\n')), { errors });
+        }
+        return players;
+    }
+
+    /**
+     * Warns when a pool cannot fill every roster in a league.
+     *
+     * @param {number} poolSize - The number of players in the pool.
+     * @param {number} leagueSize - The number of teams.
+     * @param {number} rosterSize - The roster spots per team.
+     * @returns {string|null} - The warning, or null when the pool is big enough.
+     */
+    function poolSizeWarning(poolSize, leagueSize, rosterSize) {
+        const needed = leagueSize * rosterSize;
+        if (!(needed > poolSize)) {
+            return null;
+        }
+        return `The player pool has ${poolSize} players, but ${leagueSize} teams of ${rosterSize} need ${needed}. Some roster spots will stay empty.`;
+    }
+
+    return {
+        parseCSV,
+        validatePlayers,
+        importPlayers,
+        poolSizeWarning,
+    };
+}));
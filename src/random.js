@@ -0,0 +1,88 @@
+/**
+ * @fileoverview A seeded pseudo-random number generator. Every random choice in an auction
+ * (nomination order, bot aggression, bid jitter and tie-breaks) draws from one of these, so
+ * the same seed and the same human inputs replay the same auction.
+ *
+ * In the browser it is exposed as `window.AuctionRandom`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AuctionRandom = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Creates a short seed that is easy to read out loud or paste into a bug report.
+     *
+     * @returns {string} - A random 8 character seed.
+     */
+    function generateSeed() {
+        return Math.random().toString(36).slice(2, 10).padEnd(8, '0');
+    }
+
+    /**
+     * Hashes a seed string into a 32-bit integer (cyrb53-style mixing, truncated).
+     *
+     * @param {string} seed - The seed to hash.
+     * @returns {number} - An unsigned 32-bit integer.
+     */
+    function hashSeed(seed) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < seed.length; i++) {
+            const ch = seed.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (h1 ^ h2) >>> 0;
+    }
+
+    /**
+     * Creates a seeded generator using the mulberry32 algorithm.
+     *
+     * @param {string|number} [seed] - The seed to start from. A new one is generated when omitted.
+     * @param {number} [state] - A state saved with getState(), to carry on a sequence where it left off.
+     * @returns {{seed: string, next: function(): number, integer: function(number): number,
+     *            shuffle: function(Array): Array, getState: function(): number}} - The generator. `next`
+     *            returns a float in [0, 1), `integer(max)` an integer in [0, max) and `shuffle` shuffles
+     *            an array in place.
+     */
+    function createRandom(seed, state) {
+        const normalizedSeed = seed === undefined || seed === null || seed === '' ? generateSeed() : String(seed);
+        state = typeof state === 'number' ? state >>> 0 : hashSeed(normalizedSeed);
+
+        const next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        const integer = (max) => Math.floor(next() * max);
+
+        const shuffle = (array) => {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = integer(i + 1);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        };
+
+        const getState = () => state;
+
+        return { seed: normalizedSeed, next, integer, shuffle, getState };
+    }
+
+    return {
+        createRandom,
+        generateSeed,
+    };
+}));
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Draft results. Turns the participants of a finished auction into a plain
+ * summary (rosters, prices, final stats and head to head rank) and formats it as CSV, so
+ * leagues can load the draft into their own spreadsheets. Exports are read back to pick
+ * next season's keepers. The post-draft report compares the teams with each other and with
+ * what their players were worth.
+ *
+ * In the browser it is exposed as `window.AuctionResults`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./players'));
+    } else {
+        root.AuctionResults = factory(root.AuctionEngine, root.AuctionPlayers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AuctionEngine, AuctionPlayers) {
+    'use strict';
+
+    const { DEFAULT_RULES, STAT_LABELS, calculateHeadToHeadPoints, calculateRotoPoints, matchupWins, rotoCategories, playerPositions } = AuctionEngine;
+    const { parseCSV } = AuctionPlayers;
+
+    const STAT_KEYS = ['fg_pct', 'ft_pct', 'ppg', 'apg', 'rpg', 'three_p', 'spg', 'bpg', 'tos'];
+    // how far from the league average, in standard deviations, a category has to be to count as a strength or weakness.
+    const NOTABLE_SCORE = 0.5;
+    const REPORT_HIGHLIGHTS = 3;
+    const DRAFT_PHASES = [
+        { key: 'keepers', label: 'Keepers' },
+        { key: 'early', label: 'Early lots' },
+        { key: 'middle', label: 'Middle lots' },
+        { key: 'late', label: 'Late lots' },
+    ];
+
+    /**
+     * Summarizes every team's draft, ranked head to head, with its roto standing alongside.
+     *
+     * @param {Array<Participant>} participants - The participants of the auction.
+     * @param {Object} [scoring=DEFAULT_RULES.scoring] - The league's scoring config.
+     * @returns {Array<Object>} - One entry per team, best ranked first, with its `rank`, `name`,
+     *                            `owner`, `spent`, `h2hPoints`, `fantasyPoints` (points leagues only), `rotoRank`, `rotoTotal`,
+     *                            `rotoPoints` per category, final `stats` and `roster` of
+     *                            {slot, playerId, player, pos, team, price, keeper}, in lineup order.
+     */
+    function draftResults(participants, scoring = DEFAULT_RULES.scoring) {
+        calculateRotoPoints(participants, scoring);
+        return calculateHeadToHeadPoints(participants, scoring).map(participant => ({
+            rank: participant.rank,
+            name: participant.name,
+            owner: participant.owner,
+            isAi: participant.isAi,
+            spent: participant.spent,
+            h2hPoints: participant.h2hPoints,
+            fantasyPoints: participant.fantasyPoints,
+            rotoRank: participant.rotoRank,
+            rotoTotal: participant.rotoTotal,
+            rotoPoints: { ...participant.rotoPoints },
+            stats: { ...participant.cumulativeStats },
+            roster: participant.lineup().filter(({ player }) => player).map(({ slot, player, bid, keeper }) => ({
+                slot,
+                playerId: player.id,
+                player: player.player,
+                pos: player.pos,
+                team: player.team,
+                price: bid,
+                keeper,
+            })),
+        }));
+    }
+
+
+    function escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Formats draft results as CSV with one row per drafted player. Each row repeats its
+     * fantasy team's rank, final stats and roto standing, so the sheet can be filtered or pivoted by team.
+     *
+     * @param {Array<Object>} results - The output of draftResults.
+     * @returns {string} - The CSV text, header row first.
+     */
+    function resultsToCSV(results) {
+        const header = ['rank', 'fantasy_team', 'slot', 'player_id', 'player', 'pos', 'team', 'price', ...STAT_KEYS.map(key => `team_${key}`), 'roto_rank', 'roto_points', 'keeper'];
+        const rows = results.flatMap(result => result.roster.map(pick => [
+            result.rank,
+            result.name,
+            pick.slot,
+            pick.playerId,
+            pick.player,
+            pick.pos,
+            pick.team,
+            pick.price,
+            ...STAT_KEYS.map(key => Number(result.stats[key].toFixed(4))),
+            result.rotoRank,
+            result.rotoTotal,
+            pick.keeper ? 'yes' : 'no',
+        ]));
+
+        return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Reads the picks back out of a draft exported as CSV or JSON, so a league can keep
+     * players from last year's draft at the price they were bought for.
+     *
+     * @param {string} text - The export, as written by resultsToCSV or the JSON download.
+     * @returns {Array<{team: string, playerId: number, player: string, price: number}>} - Every pick, team by team.
+     * @throws {Error} If the text is not a draft export.
+     */
+    function readDraftExport(text) {
+        const source = String(text).trim();
+        const notAnExport = () => new Error('That file is not a draft export.');
+
+        if (source.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                throw notAnExport();
+            }
+            if (!Array.isArray(data.teams)) {
+                throw notAnExport();
+            }
+            return data.teams.flatMap(team => (team.roster || []).map(pick => ({
+                team: String(team.name),
+                playerId: Number(pick.playerId),
+                player: String(pick.player),
+                price: Number(pick.price),
+            })));
+        }
+
+        const [header = [], ...rows] = parseCSV(source);
+        const [team, playerId, player, price] = ['fantasy_team', 'player_id', 'player', 'price'].map(name => header.indexOf(name));
+        if ([team, playerId, player, price].includes(-1)) {
+            throw notAnExport();
+        }
+        return rows.map(row => ({
+            team: row[team],
+            playerId: Number(row[playerId]),
+            player: row[player],
+            price: Number(row[price]),
+        }));
+    }
+
+    function ordinal(number) {
+        const suffix = number % 100 >= 11 && number % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[number % 10] || 'th';
+        return `${number}${suffix}`;
+    }
+
+
+    function listNames(names) {
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+    }
+
+    // which third of the auction a lot closed in; lots are numbered from 1.
+    function lotPhase(lot, totalLots) {
+        if (lot <= Math.ceil(totalLots / 3)) {
+            return 'early';
+        }
+        return lot <= Math.ceil(totalLots * 2 / 3) ? 'middle' : 'late';
+    }
+
+    /**
+     * Compares a team's stats with the league average in every roto category. The score is how
+     * many standard deviations better than average the team is, so categories measured in
+     * percentages and in counts can be compared, and lower-is-better categories score above 0
+     * when the team is below average.
+     */
+    function categoryReport(team, participants, categories) {
+        return categories.map(({ stat, lowerIsBetter }) => {
+            const values = participants.map(participant => participant.cumulativeStats[stat]);
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+            const difference = team.cumulativeStats[stat] - average;
+            const score = deviation > 0 ? (lowerIsBetter ? -difference : difference) / deviation : 0;
+            return { stat, label: STAT_LABELS[stat] || stat, value: team.cumulativeStats[stat], average, difference, score };
+        });
+    }
+
+
+    function explainRank(team, report, scoring, teamCount) {
+        const place = `Projected ${ordinal(team.rank)} of ${teamCount}`;
+        const labels = stats => listNames(stats.map(stat => STAT_LABELS[stat] || stat));
+        let explanation;
+        if (scoring.type === 'points') {
+            explanation = `${place}: ${team.fantasyPoints.toFixed(1)} fantasy points, more than ${team.h2hPoints} of the other ${teamCount - 1} teams.`;
+        } else {
+            const byRecord = [...report.matchups].sort((a, b) => (b.won - b.lost) - (a.won - a.lost) || b.won - a.won);
+            const [best] = byRecord;
+            const worst = byRecord[byRecord.length - 1];
+            explanation = `${place}: won ${team.h2hPoints} of ${report.maxPoints} category matchups, `;
+            explanation += best.won === worst.won && best.lost === worst.lost
+                ? `going ${best.won}-${best.lost} against every team.`
+                : `best against ${best.opponent} (${best.won}-${best.lost}) and worst against ${worst.opponent} (${worst.won}-${worst.lost}).`;
+        }
+        if (report.strengths.length > 0) {
+            explanation += ` Strongest in ${labels(report.strengths)}.`;
+        }
+        if (report.weaknesses.length > 0) {
+            explanation += ` Weakest in ${labels(report.weaknesses)}.`;
+        }
+        return explanation;
+    }
+
+    /**
+     * Builds the post-draft report: for every team, its categories against the league average,
+     * what each player cost against their estimated value, its spending by position and by
+     * phase of the draft, and its projected rank with the head to head matchups behind it;
+     * and the biggest steals and overpays of the whole draft.
+     *
+     * @param {Array<Participant>} participants - The participants of the finished auction.
+     * @param {Object} [options]
+     * @param {Object} [options.scoring=DEFAULT_RULES.scoring] - The league's scoring config.
+     * @param {Map<number, number>} [options.prices] - Each player's estimated value by ID, from suggestedPrices.
+     *        Players without one have a null `value` and `surplus`.
+     * @param {Array<Object>} [options.history] - The auction's lot records, to place each pick in a phase
+     *        of the draft. The lots are split into thirds.
+     * @returns {{averages: Object<string, number>, steals: Array<Object>, overpays: Array<Object>,
+     *            teams: Array<Object>}} - The report, with the league average of every roto category. `teams`
+     *          are in projected rank order, each with its `name`, `owner`, `rank`, `h2hPoints`, `maxPoints`,
+     *          `fantasyPoints`, `spent`, `value`, `categories` ({stat, label, value, average, difference, score}),
+     *          `strengths` and `weaknesses` (stats), `picks` ({playerId, player, pos, price, value, surplus,
+     *          keeper, lot, phase}), `spendingByPosition` ({position, spent, players}, biggest first),
+     *          `spendingByPhase` ({key, label, spent, players}), `matchups` ({opponent, won, lost}) and
+     *          `explanation`. Steals and overpays are picks with the team's `name` added.
+     */
+    function draftReport(participants, { scoring = DEFAULT_RULES.scoring, prices = new Map(), history = [] } = {}) {
+        const ranked = calculateHeadToHeadPoints(participants, scoring);
+        const categories = rotoCategories(scoring);
+        const lots = new Map(history.map(record => [record.playerId, record.lot]));
+        const perMatchup = scoring.type === 'points' ? 1 : categories.length;
+
+        const teams = ranked.map(team => {
+            const picks = team.roster.map(({ player, bid, keeper = false }) => {
+                const value = prices.has(player.id) ? prices.get(player.id) : null;
+                const lot = lots.has(player.id) ? lots.get(player.id) : null;
+                const phase = keeper ? 'keepers' : lot !== null ? lotPhase(lot, history.length) : null;
+                return { playerId: player.id, player: player.player, pos: player.pos, price: bid, value, surplus: value === null ? null : value - bid, keeper, lot, phase };
+            });
+
+            const positions = new Map();
+            team.roster.forEach(({ player, bid }) => {
+                const position = playerPositions(player)[0] || player.pos;
+                const entry = positions.get(position) || { position, spent: 0, players: 0 };
+                entry.spent += bid;
+                entry.players++;
+                positions.set(position, entry);
+            });
+
+            const scored = categoryReport(team, participants, categories);
+            const byScore = [...scored].sort((a, b) => b.score - a.score);
+            const report = {
+                name: team.name,
+                owner: team.owner,
+                rank: team.rank,
+                h2hPoints: team.h2hPoints,
+                maxPoints: perMatchup * (participants.length - 1),
+                fantasyPoints: team.fantasyPoints,
+                spent: team.spent,
+                value: picks.reduce((sum, pick) => sum + (pick.value || 0), 0),
+                categories: scored,
+                strengths: byScore.filter(({ score }) => score >= NOTABLE_SCORE).slice(0, REPORT_HIGHLIGHTS).map(({ stat }) => stat),
+                weaknesses: [...byScore].reverse().filter(({ score }) => score <= -NOTABLE_SCORE).slice(0, REPORT_HIGHLIGHTS).map(({ stat }) => stat),
+                picks,
+                spendingByPosition: [...positions.values()].sort((a, b) => b.spent - a.spent),
+                spendingByPhase: DRAFT_PHASES.map(({ key, label }) => {
+                    const inPhase = picks.filter(pick => pick.phase === key);
+                    return { key, label, spent: inPhase.reduce((sum, pick) => sum + pick.price, 0), players: inPhase.length };
+                }),
+                matchups: ranked.filter(opponent => opponent !== team).map(opponent => ({
+                    opponent: opponent.name,
+                    won: matchupWins(team, opponent, scoring),
+                    lost: matchupWins(opponent, team, scoring),
+                })),
+            };
+            report.explanation = explainRank(team, report, scoring, participants.length);
+            return report;
+        });
+
+        const allPicks = teams.flatMap(team => team.picks.filter(pick => pick.surplus !== null).map(pick => ({ ...pick, name: team.name })));
+        const bySurplus = [...allPicks].sort((a, b) => b.surplus - a.surplus);
+        const averages = {};
+        categories.forEach(({ stat }) => {
+            averages[stat] = participants.reduce((sum, participant) => sum + participant.cumulativeStats[stat], 0) / participants.length;
+        });
+
+        return {
+            averages,
+            steals: bySurplus.filter(pick => pick.surplus > 0).slice(0, REPORT_HIGHLIGHTS),
+            overpays: [...bySurplus].reverse().filter(pick => pick.surplus < 0).slice(0, REPORT_HIGHLIGHTS),
+            teams,
+        };
+    }
+
+    return {
+        draftResults,
+        draftReport,
+        resultsToCSV,
+        readDraftExport,
+    };
+}));
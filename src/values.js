@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Auction values. Rates every player in the pool by per-category z-scores,
+ * sets replacement level at the last player a full league would roster and turns each
+ * player's surplus over replacement into dollars, so the values of every rosterable player
+ * add up to all the money in the league. Suggested prices and bot bids both start here.
+ *
+ * In the browser it is exposed as `window.AuctionValues`, in Node it is a CommonJS module.
+ * @package
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AuctionValues = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // the attempts that weight each percentage category.
+    const PERCENT_ATTEMPTS = { fg_pct: 'fga', ft_pct: 'fta' };
+
+    const modelCache = new WeakMap();
+
+    /**
+     * Builds the value model for a league, or returns the one already built for the same pool
+     * and league.
+     *
+     * Category z-scores are measured against the players a full league would roster: a first
+     * pass against the whole pool picks those players, a second pass measures against them.
+     * A percentage is scored by its impact, the shots made above or below the baseline rate,
+     * so volume counts. Lower-is-better categories are inverted.
+     *
+     * @param {Array<Object>} players - The player pool.
+     * @param {{leagueSize: number, rosterSize: number, totalBudget: number, minimumBid: number,
+     *          categories: Array<{stat: string, lowerIsBetter: boolean}>, weights: Object<string, number>|null}} league -
+     *        The league. With `weights` (a points league) players are rated by fantasy points
+     *        instead of their summed z-scores.
+     * @returns {{categories: Array<Object>, baselines: Object, replacement: number, dollarsPerPoint: number,
+     *            minimumBid: number, weights: Object|null}} - The model, for playerZScores and playerValue.
+     */
+    function buildValueModel(players, league) {
+        if (!modelCache.has(players)) {
+            modelCache.set(players, new Map());
+        }
+        const models = modelCache.get(players);
+        const key = JSON.stringify(league);
+        if (!models.has(key)) {
+            models.set(key, createModel(players, league));
+        }
+        return models.get(key);
+    }
+
+
+    function createModel(players, league) {
+        const { leagueSize, rosterSize, totalBudget, minimumBid, categories, weights = null } = league;
+        const rostered = Math.min(players.length, leagueSize * rosterSize);
+
+        let model = { categories, weights, minimumBid, baselines: measureBaselines(players, categories) };
+        const firstPass = [...players].sort((a, b) => playerTotal(b, model) - playerTotal(a, model));
+        model = { ...model, baselines: measureBaselines(firstPass.slice(0, rostered), categories) };
+
+        const totals = players.map(player => playerTotal(player, model)).sort((a, b) => b - a);
+        // the best player a full league leaves undrafted.
+        const replacement = totals.length > rostered ? totals[rostered] : totals[totals.length - 1] || 0;
+        const surplus = totals.slice(0, rostered).reduce((sum, total) => sum + Math.max(0, total - replacement), 0);
+        const dollars = Math.max(0, leagueSize * totalBudget - rostered * minimumBid);
+
+        return { ...model, replacement, dollarsPerPoint: surplus > 0 ? dollars / surplus : 0 };
+    }
+
+
+    function measureBaselines(players, categories) {
+        const baselines = {};
+        categories.forEach(({ stat }) => {
+            const attempts = PERCENT_ATTEMPTS[stat];
+            const baseline = {};
+            if (attempts) {
+                const taken = players.reduce((sum, player) => sum + (player[attempts] || 0), 0);
+                const made = players.reduce((sum, player) => sum + (player[attempts] || 0) * (player[stat] || 0), 0);
+                baseline.rate = taken > 0 ? made / taken : 0;
+            }
+            const values = players.map(player => rawValue(player, stat, baseline));
+            baseline.mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+            baseline.sd = Math.sqrt(values.reduce((sum, value) => sum + (value - baseline.mean) ** 2, 0) / (values.length || 1));
+            baselines[stat] = baseline;
+        });
+        return baselines;
+    }
+
+    // the number a category is scored on: the stat itself, or for a percentage its impact.
+    function rawValue(player, stat, baseline) {
+        const attempts = PERCENT_ATTEMPTS[stat];
+        if (attempts) {
+            return (player[attempts] || 0) * ((player[stat] || 0) - baseline.rate);
+        }
+        return player[stat] || 0;
+    }
+
+    /**
+     * Scores a player in every category of the model.
+     *
+     * @param {Object} player - The player; they do not need to be in the pool the model was built from.
+     * @param {Object} model - A model from buildValueModel.
+     * @returns {Object<string, number>} - The z-score per category stat, higher is always better.
+     */
+    function playerZScores(player, model) {
+        const scores = {};
+        model.categories.forEach(({ stat, lowerIsBetter }) => {
+            const baseline = model.baselines[stat];
+            const z = baseline.sd > 0 ? (rawValue(player, stat, baseline) - baseline.mean) / baseline.sd : 0;
+            scores[stat] = lowerIsBetter ? -z : z;
+        });
+        return scores;
+    }
+
+
+    function playerTotal(player, model) {
+        if (model.weights) {
+            return Object.entries(model.weights).reduce((total, [stat, weight]) => total + (player[stat] || 0) * weight, 0);
+        }
+        return Object.values(playerZScores(player, model)).reduce((total, z) => total + z, 0);
+    }
+
+    /**
+     * Prices a player: the minimum bid plus their surplus over replacement level in dollars.
+     *
+     * @param {Object} player - The player.
+     * @param {Object} model - A model from buildValueModel.
+     * @returns {number} - The player's dollar value, unrounded, or 0 when they are not better
+     *                     than replacement level.
+     */
+    function playerValue(player, model) {
+        const surplus = playerTotal(player, model) - model.replacement;
+        return surplus > 0 ? model.minimumBid + surplus * model.dollarsPerPoint : 0;
+    }
+
+    return {
+        buildValueModel,
+        playerZScores,
+        playerValue,
+    };
+}));
@@ -0,0 +1,863 @@
+const playerData = require('../data.json').players;
+const { createRandom } = require('../src/random');
+const {
+    DEFAULT_RULES,
+    validateRules,
+    Participant,
+    Auction,
+    calculateHeadToHeadPoints,
+    calculateRotoPoints,
+    validateScoring,
+    SCORING_PRESETS,
+    determineValue,
+    categoryNeed,
+    BOT_STRATEGIES,
+    BOT_DIFFICULTIES,
+    suggestedPrice,
+    suggestedPrices,
+    lotPrice,
+    breakTie,
+    playerPositions,
+    rosterSlots,
+    assignSlots,
+} = require('../src/engine');
+
+function runBotAuction(leagueSize, rules = DEFAULT_RULES, random = createRandom(), profiles = []) {
+    const participants = Array.from({ length: leagueSize }, (_, i) =>
+        Object.assign(new Participant(`Bot ${i + 1}`, true, rules, random), profiles[i]));
+    const auction = new Auction(participants, playerData, rules, random);
+    const awards = [];
+    auction.on('award', award => awards.push(award));
+    auction.start();
+    while (auction.phase !== 'complete') {
+        auction.playBotTurn();
+    }
+    return { auction, participants, awards };
+}
+
+function teamWithStats(name, stats) {
+    const team = new Participant(name);
+    Object.assign(team.cumulativeStats, stats);
+    return team;
+}
+
+describe("Participant", () => {
+    test("should track budget and roster spots as players are added", () => {
+        const participant = new Participant("Player 1");
+        expect(participant.maxBid).toBe(DEFAULT_RULES.totalBudget - DEFAULT_RULES.rosterSize);
+
+        participant.spent += 40;
+        participant.addPlayer(playerData[0], 40);
+
+        expect(participant.playersLeft).toBe(DEFAULT_RULES.rosterSize - 1);
+        expect(participant.maxBid).toBe(DEFAULT_RULES.totalBudget - 40 - (DEFAULT_RULES.rosterSize - 1));
+        expect(participant.cumulativeStats.ppg).toBeCloseTo(playerData[0].ppg);
+        expect(participant.cumulativeStats.fg_pct).toBeCloseTo(playerData[0].fg_pct);
+    });
+
+    test("should refuse bids above the max bid", () => {
+        const participant = new Participant("Player 1");
+        expect(participant.placeBid(participant.maxBid + 1)).toBe(false);
+        expect(participant.currentBid).toBe(0);
+        expect(participant.placeBid(10)).toBe(true);
+        expect(participant.currentBid).toBe(10);
+    });
+
+    test("should explain why a bid cannot be placed", () => {
+        const participant = new Participant("Player 1");
+        participant.spent = 150;
+        const maxBid = DEFAULT_RULES.totalBudget - 150 - DEFAULT_RULES.rosterSize;
+
+        expect(participant.bidError(maxBid + 1, playerData[0])).toBe(`Max bid is $${maxBid}.`);
+        expect(participant.bidError(2.5, playerData[0])).toBe('Bids are whole dollars; bid 0 to pass.');
+        expect(participant.bidError(-3, playerData[0])).toBe('Bids are whole dollars; bid 0 to pass.');
+        expect(participant.bidError(maxBid, playerData[0])).toBeNull();
+        expect(participant.placeBid(2.5)).toBe(false);
+
+        participant.draftees = DEFAULT_RULES.rosterSize;
+        expect(participant.bidError(1, playerData[0])).toBe(`Player 1 has no roster spot for ${playerData[0].player}.`);
+        expect(participant.bidError(0, playerData[0])).toBeNull();
+        expect(participant.canBid(playerData[0])).toBe(false);
+    });
+
+    test("should refuse bids under the minimum bid but allow passing", () => {
+        const rules = { ...DEFAULT_RULES, minimumBid: 5 };
+        const participant = new Participant("Player 1", false, rules);
+        expect(participant.maxBid).toBe(rules.totalBudget - 5 * rules.rosterSize);
+        expect(participant.placeBid(4)).toBe(false);
+        expect(participant.placeBid(0)).toBe(true);
+        expect(participant.placeBid(5)).toBe(true);
+    });
+});
+
+describe("League rules", () => {
+    test("should accept the default rules", () => {
+        expect(validateRules(DEFAULT_RULES)).toEqual({});
+    });
+
+    test("should report rules out of range", () => {
+        const errors = validateRules({ ...DEFAULT_RULES, rosterSize: 30, biddingTime: 2.5, totalBudget: NaN });
+        expect(Object.keys(errors).sort()).toEqual(['biddingTime', 'rosterSize', 'totalBudget']);
+    });
+
+    test("should require a budget that covers the minimum bid for every roster spot", () => {
+        expect(validateRules({ ...DEFAULT_RULES, minimumBid: 20 }).totalBudget).toMatch('$20');
+        expect(validateRules({ ...DEFAULT_RULES, priceRule: 'dutch' }).priceRule).toBeDefined();
+    });
+
+    test("should only accept reserve prices the teams can afford", () => {
+        expect(validateRules({ ...DEFAULT_RULES, reserves: { 1: 40 } })).toEqual({});
+        expect(validateRules({ ...DEFAULT_RULES, reserves: { 1: 188 } }).reserves).toBe(
+            'Each reserve price has to be a whole number of dollars from $1 to $187.');
+        expect(validateRules({ ...DEFAULT_RULES, reserves: { 1: 2.5 } }).reserves).toBeDefined();
+        expect(validateRules({ ...DEFAULT_RULES, reserves: { Jokic: 40 } }).reserves).toBe('Reserve prices must be listed by player.');
+    });
+});
+
+describe("Valuation", () => {
+    test("suggestedPrice should price a star well above a bench player", () => {
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+        const star = suggestedPrice(playerData[0], league);
+        expect(star).toBeGreaterThan(DEFAULT_RULES.totalBudget / DEFAULT_RULES.rosterSize * 2);
+        expect(suggestedPrice(playerData[playerData.length - 1], league)).toBe(0);
+    });
+
+    test("determineValue should never exceed the bidder's max bid", () => {
+        const bidder = new Participant("Bot 1", true);
+        bidder.spent = DEFAULT_RULES.totalBudget - DEFAULT_RULES.rosterSize - 5;
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+        playerData.slice(0, 20).forEach(player => {
+            expect(determineValue(bidder, player, false, league)).toBeLessThanOrEqual(bidder.maxBid);
+        });
+    });
+
+    test("determineValue should scale with the league budget", () => {
+        const richRules = { ...DEFAULT_RULES, totalBudget: 1000 };
+        const bidder = new Participant("Bot 1", true, richRules);
+        bidder.aggression = 72;
+        const value = determineValue(bidder, playerData[0], false, { rules: richRules, leagueSize: 10, players: playerData });
+        expect(value).toBeGreaterThan(DEFAULT_RULES.totalBudget / 2);
+    });
+
+    test("determineValue should spend more per player with fewer roster spots left to fill", () => {
+        const early = new Participant("Bot 1", true);
+        const late = new Participant("Bot 2", true);
+        early.aggression = late.aggression = 60;
+        late.spent = 100;
+        late.draftees = DEFAULT_RULES.rosterSize - 3;
+
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+        const earlyValue = determineValue(early, playerData[0], false, { ...league, random: createRandom('spend') });
+        const lateValue = determineValue(late, playerData[0], false, { ...league, random: createRandom('spend') });
+        expect(lateValue).toBeGreaterThan(earlyValue);
+    });
+
+    test("determineValue should spread the team's own budget, as the commissioner set it", () => {
+        const usual = new Participant("Bot 1", true);
+        const raised = new Participant("Bot 2", true);
+        usual.aggression = raised.aggression = 60;
+        usual.spent = raised.spent = 150;
+        raised.budget = 400;
+
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+        const usualValue = determineValue(usual, playerData[20], false, { ...league, random: createRandom('spend') });
+        const raisedValue = determineValue(raised, playerData[20], false, { ...league, random: createRandom('spend') });
+        expect(usualValue).toBeLessThan(usual.maxBid);
+        expect(raisedValue).toBeGreaterThan(usualValue);
+    });
+});
+
+describe("Category needs", () => {
+    const average = { fg_pct: 0.47, ft_pct: 0.78, ppg: 30, apg: 6, rpg: 12, three_p: 3, spg: 2, bpg: 1.5, tos: 3 };
+
+    function draftedTeam(name, stats) {
+        const team = teamWithStats(name, { ...average, ...stats });
+        team.draftees = 2;
+        return team;
+    }
+
+    test("should value a shot-blocker less for a team already strong in blocks", () => {
+        const strong = draftedTeam("Strong", { bpg: 6 });
+        const weak = draftedTeam("Weak", { bpg: 0.5 });
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, participants: [strong, weak, draftedTeam("Middle", { bpg: 2 })], players: playerData };
+        const blocker = { ...average, fga: 8, fta: 3, ppg: 10, bpg: 3.5 };
+
+        expect(categoryNeed(strong, blocker, league)).toBeLessThan(1);
+        expect(categoryNeed(weak, blocker, league)).toBeGreaterThan(1);
+    });
+
+    test("should weight the percentage categories by volume", () => {
+        const bricklayers = draftedTeam("Bricklayers", { fg_pct: 0.40 });
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, participants: [bricklayers, draftedTeam("Shooters", { fg_pct: 0.5 })], players: playerData };
+        const shooter = fga => ({ ppg: 15, apg: 3, rpg: 5, three_p: 1, spg: 1, bpg: 0.5, tos: 2, fga, fg_pct: 0.6, fta: 3, ft_pct: 0.78 });
+
+        expect(categoryNeed(bricklayers, shooter(18), league)).toBeGreaterThan(categoryNeed(bricklayers, shooter(3), league));
+    });
+
+    test("should apply no need before anyone has drafted", () => {
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, participants: [new Participant("A"), new Participant("B")], players: playerData };
+        expect(categoryNeed(league.participants[0], playerData[0], league)).toBeCloseTo(1);
+    });
+});
+
+describe("Pricing", () => {
+    const withBids = (...amounts) => amounts.map((amount, i) => {
+        const participant = new Participant(`P${i + 1}`);
+        participant.currentBid = amount;
+        return participant;
+    });
+
+    test("first-price should charge the winner their own bid", () => {
+        const [winner, ...others] = withBids(30, 12, 5);
+        expect(lotPrice(winner, others, DEFAULT_RULES)).toBe(30);
+    });
+
+    test("second-price should charge the runner-up's bid plus the increment", () => {
+        const rules = { ...DEFAULT_RULES, priceRule: 'second', bidIncrement: 2, minimumBid: 3 };
+        const [winner, ...others] = withBids(30, 12, 5);
+        expect(lotPrice(winner, others, rules)).toBe(14);
+        const [closeWinner, ...closeOthers] = withBids(30, 29);
+        expect(lotPrice(closeWinner, closeOthers, rules)).toBe(30);
+        const [soleWinner, ...passers] = withBids(30, 0);
+        expect(lotPrice(soleWinner, passers, rules)).toBe(3);
+    });
+
+    test("should hold every lot to the player's reserve price", () => {
+        const star = playerData[0];
+        const rules = { ...DEFAULT_RULES, priceRule: 'second', reserves: { [star.id]: 25 } };
+        const [winner, ...others] = withBids(30, 12);
+        expect(lotPrice(winner, others, rules, star)).toBe(25);
+        expect(lotPrice(winner, others, rules, playerData[1])).toBe(13);
+
+        const bidder = new Participant("A", false, rules);
+        expect(bidder.bidError(20, star)).toBe(`${star.player}'s reserve price is $25.`);
+        expect(bidder.bidError(0, star, true)).toBe('The nominator opens the bidding, at $25 or more.');
+        expect(bidder.bidError(25, star)).toBeNull();
+        bidder.spent = rules.totalBudget - rules.rosterSize - 20;
+        expect(bidder.canBid(star)).toBe(false);
+        expect(bidder.canBid(playerData[1])).toBe(true);
+    });
+
+    test("should never let the bots buy a player under their reserve price", () => {
+        const reserves = Object.fromEntries(playerData.slice(0, 30).map(player => [player.id, 45]));
+        const rules = { ...DEFAULT_RULES, reserves };
+        const { awards } = runBotAuction(8, rules, createRandom('reserve'));
+        const reserved = awards.filter(({ player }) => reserves[player.id]);
+
+        expect(reserved.length).toBeGreaterThan(0);
+        reserved.forEach(({ price }) => expect(price).toBeGreaterThanOrEqual(45));
+    });
+
+    test("should run a full second-price auction within every budget", () => {
+        const rules = { ...DEFAULT_RULES, priceRule: 'second', minimumBid: 2 };
+        const { participants, awards } = runBotAuction(6, rules, createRandom('vickrey'));
+        awards.forEach(({ price, bids, winner }) => {
+            const winningBid = bids.find(bid => bid.participant === winner).amount;
+            expect(price).toBeLessThanOrEqual(winningBid);
+        });
+        participants.forEach(participant => {
+            expect(participant.roster).toHaveLength(rules.rosterSize);
+            expect(participant.spent).toBeLessThanOrEqual(rules.totalBudget);
+        });
+    });
+});
+
+describe("Tie-breakers", () => {
+    function tiedLeague() {
+        const [a, b, c] = ['A', 'B', 'C'].map(name => new Participant(name));
+        a.spent = 20;
+        b.spent = 10;
+        c.spent = 10;
+        c.addPlayer(playerData[0], 10);
+        return { participants: [a, b, c], random: createRandom('ties') };
+    }
+
+    test("should run the tie-breakers in priority order", () => {
+        const { participants, random } = tiedLeague();
+        const [a, b, c] = participants;
+        const context = { participants, random, nominator: c };
+
+        expect(breakTie([a, b, c], { ...context, tieBreakers: ['nominator'] })).toEqual({ winner: c, tieBreak: 'nominator' });
+        expect(breakTie([a, b, c], { ...context, tieBreakers: ['budget', 'roster'] })).toEqual({ winner: b, tieBreak: 'roster' });
+        expect(breakTie([a, c], { ...context, tieBreakers: ['order'] })).toEqual({ winner: a, tieBreak: 'order' });
+        expect(breakTie([b], { ...context, tieBreakers: ['order'] })).toEqual({ winner: b, tieBreak: null });
+    });
+
+    test("should skip a tie-breaker that rules out everyone and fall back to a random draw", () => {
+        const { participants, random } = tiedLeague();
+        const [a, b, c] = participants;
+        const { winner, tieBreak } = breakTie([a, b], { participants, random, nominator: c, tieBreakers: ['nominator'] });
+
+        expect([a, b]).toContain(winner);
+        expect(tieBreak).toBe('random');
+    });
+
+    test("should reject unknown or repeated tie-breakers", () => {
+        expect(validateRules({ ...DEFAULT_RULES, tieBreakers: ['coin'] }).tieBreakers).toBeDefined();
+        expect(validateRules({ ...DEFAULT_RULES, tieBreakers: ['order', 'order'] }).tieBreakers).toBeDefined();
+        expect(validateRules({ ...DEFAULT_RULES, tieBreakers: [] })).toEqual({});
+    });
+
+    test("should record the tie-breaker that decided a lot", () => {
+        const rules = { ...DEFAULT_RULES, tieBreakers: ['nominator'] };
+        const participants = ['A', 'B'].map(name => new Participant(name, false, rules));
+        const auction = new Auction(participants, playerData, rules);
+        auction.start();
+        auction.nominate(null);
+        auction.bid(4);
+        auction.bid(4);
+
+        expect(auction.history[0]).toEqual(expect.objectContaining({ winner: 'A', tiedWith: ['B'], tieBreak: 'nominator' }));
+    });
+});
+
+describe("Roster slots", () => {
+    const centers = playerData.filter(player => player.pos === 'C');
+
+    test("should read multi-position strings", () => {
+        expect(playerPositions({ pos: 'SG-SF' })).toEqual(['SG', 'SF']);
+        expect(playerPositions({ pos: 'pg/sg' })).toEqual(['PG', 'SG']);
+        expect(playerPositions({ pos: 'G' })).toEqual(['PG', 'SG']);
+    });
+
+    test("should fill the starting slots before the bench", () => {
+        expect(rosterSlots(DEFAULT_RULES)).toEqual(['PG', 'SG', 'G', 'SF', 'PF', 'F', 'C', 'C', 'UTIL', 'UTIL', 'BN', 'BN', 'BN']);
+
+        const rules = { ...DEFAULT_RULES, rosterSize: 3, slots: { SG: 1, F: 1 } };
+        const swingman = { pos: 'SG-SF' };
+        const guard = { pos: 'SG' };
+        expect(assignSlots([swingman, guard], rules)).toEqual([1, 0]);
+        expect(assignSlots([swingman, guard, { pos: 'C' }], rules)).toEqual([1, 0, 2]);
+        expect(assignSlots([guard, guard, guard], { ...rules, rosterSize: 2 })).toBeNull();
+    });
+
+    test("should reject bids that would leave a required slot unfillable", () => {
+        const participant = new Participant("Player 1");
+        centers.slice(0, 7).forEach(center => participant.addPlayer(center, 1));
+
+        expect(participant.canRoster(centers[7])).toBe(false);
+        expect(participant.placeBid(5, centers[7])).toBe(false);
+        expect(participant.placeBid(5, playerData.find(player => player.pos === 'PG'))).toBe(true);
+    });
+
+    test("should value a bench-only player lower while starting slots are open", () => {
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+        const center = centers[0];
+        const fresh = new Participant("Bot 1", true);
+        const crowded = new Participant("Bot 2", true);
+        fresh.aggression = crowded.aggression = 72;
+        centers.slice(1, 5).forEach(other => crowded.addPlayer(other, 1));
+
+        const freshValue = determineValue(fresh, center, false, { ...league, random: createRandom('bench') });
+        const crowdedValue = determineValue(crowded, center, false, { ...league, random: createRandom('bench') });
+        expect(crowdedValue).toBeLessThan(freshValue);
+    });
+
+    test("should leave every roster in a legal lineup after a full auction", () => {
+        const { participants } = runBotAuction(6, DEFAULT_RULES, createRandom('slots'));
+        participants.forEach(participant => {
+            const players = participant.roster.map(({ player }) => player);
+            expect(players).toHaveLength(DEFAULT_RULES.rosterSize);
+            expect(assignSlots(players, DEFAULT_RULES)).not.toBeNull();
+        });
+    });
+});
+
+describe("Head to head rankings", () => {
+    test("should rank the stronger roster first", () => {
+        const strong = new Participant("Strong");
+        const weak = new Participant("Weak");
+        strong.addPlayer(playerData[0], 1);
+        weak.addPlayer(playerData[playerData.length - 1], 1);
+
+        const ranked = calculateHeadToHeadPoints([weak, strong]);
+        expect(ranked[0]).toBe(strong);
+        expect(strong.rank).toBe(1);
+        expect(weak.rank).toBe(2);
+    });
+
+    test("should count fewer turnovers as a category win", () => {
+        const careful = teamWithStats("Careful", { tos: 10 });
+        const sloppy = teamWithStats("Sloppy", { tos: 20 });
+
+        calculateHeadToHeadPoints([careful, sloppy], SCORING_PRESETS.nineCategory);
+        expect(careful.h2hPoints).toBe(1);
+        expect(sloppy.h2hPoints).toBe(0);
+    });
+
+    test("should ignore turnovers in an 8-category league", () => {
+        const careful = teamWithStats("Careful", { tos: 10 });
+        const sloppy = teamWithStats("Sloppy", { tos: 20 });
+
+        calculateHeadToHeadPoints([careful, sloppy], SCORING_PRESETS.eightCategory);
+        expect(careful.h2hPoints).toBe(0);
+        expect(sloppy.h2hPoints).toBe(0);
+    });
+
+    test("should only score a custom set of categories", () => {
+        const shooter = teamWithStats("Shooter", { three_p: 5, rpg: 10 });
+        const rebounder = teamWithStats("Rebounder", { three_p: 1, rpg: 30 });
+        const scoring = { type: 'categories', categories: [{ stat: 'three_p', lowerIsBetter: false }] };
+
+        const ranked = calculateHeadToHeadPoints([rebounder, shooter], scoring);
+        expect(ranked[0]).toBe(shooter);
+        expect(rebounder.h2hPoints).toBe(0);
+    });
+
+    test("should rank a points league by weighted fantasy points", () => {
+        const scorer = teamWithStats("Scorer", { ppg: 100, spg: 2, tos: 20 });
+        const defender = teamWithStats("Defender", { ppg: 60, spg: 20, tos: 5 });
+        const scoring = { type: 'points', weights: { ppg: 1, spg: 3, tos: -1 } };
+
+        const ranked = calculateHeadToHeadPoints([scorer, defender], scoring);
+        expect(scorer.fantasyPoints).toBeCloseTo(86);
+        expect(defender.fantasyPoints).toBeCloseTo(115);
+        expect(ranked[0]).toBe(defender);
+        expect(defender.h2hPoints).toBe(1);
+    });
+
+    test("should reject invalid scoring configs", () => {
+        expect(validateScoring(SCORING_PRESETS.points)).toBeNull();
+        expect(validateScoring({ type: 'categories', categories: [] })).toMatch(/at least one/);
+        expect(validateScoring({ type: 'categories', categories: [{ stat: 'ppg' }, { stat: 'ppg' }] })).toMatch(/only be one/);
+        expect(validateScoring({ type: 'points', weights: { fg_pct: 1 } })).not.toBeNull();
+        expect(validateRules({ ...DEFAULT_RULES, scoring: { type: 'wins' } }).scoring).toBeDefined();
+    });
+});
+
+describe("Roto standings", () => {
+    const scoring = {
+        type: 'categories',
+        categories: [{ stat: 'ppg', lowerIsBetter: false }, { stat: 'tos', lowerIsBetter: true }],
+    };
+
+    test("should award 1 to N points in every category", () => {
+        const a = teamWithStats("A", { ppg: 30, tos: 5 });
+        const b = teamWithStats("B", { ppg: 20, tos: 10 });
+        const c = teamWithStats("C", { ppg: 10, tos: 15 });
+
+        const ranked = calculateRotoPoints([c, b, a], scoring);
+        expect(a.rotoPoints).toEqual({ ppg: 3, tos: 3 });
+        expect(c.rotoPoints).toEqual({ ppg: 1, tos: 1 });
+        expect(ranked.map(team => team.name)).toEqual(["A", "B", "C"]);
+        expect(ranked.map(team => team.rotoRank)).toEqual([1, 2, 3]);
+    });
+
+    test("should split the points of tied places", () => {
+        const a = teamWithStats("A", { ppg: 30, tos: 5 });
+        const b = teamWithStats("B", { ppg: 20, tos: 5 });
+        const c = teamWithStats("C", { ppg: 20, tos: 5 });
+
+        calculateRotoPoints([a, b, c], scoring);
+        expect(a.rotoPoints.ppg).toBe(3);
+        expect(b.rotoPoints.ppg).toBe(1.5);
+        expect(c.rotoPoints.ppg).toBe(1.5);
+        [a, b, c].forEach(team => expect(team.rotoPoints.tos).toBe(2));
+        expect(a.rotoTotal).toBe(5);
+    });
+
+    test("should rank a points league by every weighted stat", () => {
+        const a = teamWithStats("A", { ppg: 30, tos: 20 });
+        const b = teamWithStats("B", { ppg: 20, tos: 5 });
+
+        calculateRotoPoints([a, b], { type: 'points', weights: { ppg: 1, tos: -1, apg: 0 } });
+        expect(a.rotoPoints).toEqual({ ppg: 2, tos: 1 });
+        expect(b.rotoPoints).toEqual({ ppg: 1, tos: 2 });
+    });
+});
+
+describe("Bot strategies", () => {
+    test("should finish a legal auction with every personality and difficulty", () => {
+        const difficulties = Object.keys(BOT_DIFFICULTIES);
+        const profiles = Object.keys(BOT_STRATEGIES).map((strategy, i) => ({ strategy, difficulty: difficulties[i % difficulties.length] }));
+        const { auction, participants } = runBotAuction(profiles.length, DEFAULT_RULES, createRandom('strategies'), profiles);
+
+        expect(auction.phase).toBe('complete');
+        participants.forEach(participant => {
+            expect(participant.roster).toHaveLength(DEFAULT_RULES.rosterSize);
+            expect(participant.spent).toBeLessThanOrEqual(DEFAULT_RULES.totalBudget);
+            expect(assignSlots(participant.roster.map(({ player }) => player), DEFAULT_RULES)).not.toBeNull();
+        });
+    });
+
+    test("should ignore a punted category when valuing players", () => {
+        const bidder = new Participant("Bot 1", true);
+        bidder.aggression = 72;
+        const bricklayer = playerData.find(player => player.fta >= 5 && player.ft_pct < 0.65);
+        const league = { rules: DEFAULT_RULES, leagueSize: 10, players: playerData };
+
+        const usual = determineValue(bidder, bricklayer, false, { ...league, random: createRandom('punt') });
+        const punting = determineValue(bidder, bricklayer, false, { ...league, random: createRandom('punt') }, { punt: ['ft_pct'] });
+        expect(punting).toBeGreaterThan(usual);
+    });
+
+    test("value hunters should nominate the priciest player they can bid on", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 5, slots: { PG: 1, SG: 1, SF: 1, PF: 1, C: 1 } };
+        const random = createRandom('bait');
+        const hunter = Object.assign(new Participant("Hunter", true, rules, random), { strategy: 'valueHunter' });
+        hunter.addPlayer(playerData.find(player => player.pos === 'C'), 1);
+        const auction = new Auction([hunter, new Participant("Bot 2", true, rules, random)], playerData, rules, random);
+        const nominations = [];
+        auction.on('nomination', ({ player }) => nominations.push(player));
+        auction.start();
+        auction.playBotTurn();
+
+        const prices = suggestedPrices(playerData, rules, 2);
+        const highest = Math.max(...playerData.filter(player => hunter.canBid(player)).map(player => prices.get(player.id)));
+        expect(hunter.canBid(nominations[0])).toBe(true);
+        expect(prices.get(nominations[0].id)).toBe(highest);
+    });
+
+    test("should keep a bot's personality and difficulty in saves", () => {
+        const bot = Object.assign(new Participant("Bot 1", true), { strategy: 'puntAssists', difficulty: 'hard' });
+        const restored = Participant.fromJSON(JSON.parse(JSON.stringify(bot)), playerData);
+        expect(restored.strategy).toBe('puntAssists');
+        expect(restored.difficulty).toBe('hard');
+    });
+});
+
+describe("Auction", () => {
+    test("should run a full bot auction until every roster is full", () => {
+        const { auction, participants, awards } = runBotAuction(8);
+
+        expect(auction.phase).toBe('complete');
+        expect(awards).toHaveLength(8 * DEFAULT_RULES.rosterSize);
+        participants.forEach(participant => {
+            expect(participant.roster).toHaveLength(DEFAULT_RULES.rosterSize);
+            expect(participant.spent).toBeLessThanOrEqual(DEFAULT_RULES.totalBudget);
+        });
+
+        const draftedIds = participants.flatMap(participant => participant.roster.map(({ player }) => player.id));
+        expect(new Set(draftedIds).size).toBe(draftedIds.length);
+    });
+
+    test("should never award a player for less than the minimum bid", () => {
+        const rules = { ...DEFAULT_RULES, minimumBid: 2 };
+        const { awards } = runBotAuction(20, rules, createRandom('minimum'));
+
+        expect(awards.length).toBeGreaterThan(0);
+        awards.forEach(({ price }) => expect(price).toBeGreaterThanOrEqual(2));
+    });
+
+    test("should open the bidding at the minimum bid for a nominator who passes", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        auction.start();
+
+        auction.nominate(null);
+        expect(participants[0].bidError(0, playerData[0], true)).toBe('The nominator opens the bidding, at $1 or more.');
+        expect(auction.bid(0)).toBe(false);
+        auction.bid(0);
+
+        expect(participants[0].roster[0]).toEqual({ player: playerData[0], bid: 1 });
+    });
+
+    test("should only let teams nominate players they can bid on", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 5, slots: { PG: 1, SG: 1, SF: 1, PF: 1, C: 1 } };
+        const participants = ['A', 'B'].map(name => new Participant(name, false, rules));
+        const center = playerData.find(player => player.pos === 'C');
+        participants[0].addPlayer(center, 1);
+        const auction = new Auction(participants, playerData, rules);
+        auction.start();
+
+        const other = playerData.find(player => player.pos === 'C' && player !== center);
+        expect(auction.nominationError(other)).toBe(`A cannot bid on ${other.player}, so cannot nominate them.`);
+        expect(auction.nominate(other.id)).toBe(false);
+        expect(auction.nominate(null)).toBe(true);
+        expect(participants[0].canBid(auction.lot.player)).toBe(true);
+    });
+
+    test("should pass over nominators who cannot bid on anyone left", () => {
+        const participants = ['A', 'B', 'C'].map(name => new Participant(name));
+        // B has only the minimum bid left for each open spot.
+        participants[1].spent = DEFAULT_RULES.totalBudget - DEFAULT_RULES.rosterSize * DEFAULT_RULES.minimumBid;
+        const auction = new Auction(participants, playerData);
+        const turns = [];
+        auction.on('turn', turn => turns.push(`${turn.phase}:${turn.participant.name}`));
+        auction.start();
+
+        auction.nominate(null);
+        auction.bid(5);
+        auction.bid(3);
+
+        expect(turns).toEqual(['nominate:A', 'bid:A', 'bid:C', 'nominate:C']);
+    });
+
+    test("should run under custom rules", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 15, totalBudget: 300 };
+        const { participants } = runBotAuction(4, rules);
+        participants.forEach(participant => {
+            expect(participant.roster).toHaveLength(15);
+            expect(participant.spent).toBeLessThanOrEqual(300);
+        });
+    });
+
+    test("should let the nominator bid first and reveal every sealed bid at the award", () => {
+        const participants = ['A', 'B', 'C'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        const turns = [];
+        const awards = [];
+        auction.on('turn', turn => turns.push(`${turn.phase}:${turn.participant.name}`));
+        auction.on('award', award => awards.push(award));
+        auction.start();
+
+        auction.nominate(null);
+        auction.bid(5);
+        auction.bid(7);
+        auction.bid(3);
+
+        expect(turns).toEqual(['nominate:A', 'bid:A', 'bid:B', 'bid:C', 'nominate:B']);
+        expect(awards[0].bids.map(({ participant, amount }) => `${participant.name}:${amount}`)).toEqual(['A:5', 'B:7', 'C:3']);
+        expect(participants[1].roster[0]).toEqual({ player: playerData[0], bid: 7 });
+        expect(participants[1].spent).toBe(7);
+    });
+
+    test("should record every lot in the bid history", () => {
+        const participants = ['A', 'B', 'C'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        auction.start();
+
+        auction.nominate(null);
+        auction.bid(5);
+        auction.bid(9);
+        auction.bid(9);
+
+        expect(auction.history).toEqual([expect.objectContaining({
+            lot: 1,
+            round: 1,
+            nominator: 'A',
+            playerId: playerData[0].id,
+            bids: [{ name: 'A', amount: 5 }, { name: 'B', amount: 9 }, { name: 'C', amount: 9 }],
+            price: 9,
+            closedAt: expect.any(Number),
+        })]);
+        const { winner, tiedWith } = auction.history[0];
+        expect([winner, ...tiedWith].sort()).toEqual(['B', 'C']);
+    });
+
+    test("should reject nominating a player twice", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        auction.start();
+
+        expect(auction.nominate(playerData[3].id)).toBe(true);
+        auction.bid(1);
+        auction.bid(0);
+        expect(auction.nominate(playerData[3].id)).toBe(false);
+        expect(auction.nominate(null)).toBe(true);
+        expect(auction.lot.player).toBe(playerData[0]);
+    });
+
+    test("should nominate from the nominator's queue, skipping players already nominated", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        participants[0].nominationQueue = [playerData[5].id, playerData[7].id];
+        participants[1].nominationQueue = [playerData[5].id];
+        const auction = new Auction(participants, playerData);
+        auction.start();
+
+        auction.nominate(null);
+        expect(auction.lot.player).toBe(playerData[5]);
+        auction.bid(1);
+        auction.bid(0);
+
+        auction.nominate(null);
+        expect(auction.lot.player).toBe(playerData[0]);
+        auction.bid(0);
+        auction.bid(1);
+
+        auction.nominate(null);
+        expect(auction.lot.player).toBe(playerData[7]);
+    });
+
+    test("should pass for teams that cannot bid without giving them a turn", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 10 };
+        const participants = ['A', 'B', 'C'].map(name => new Participant(name, false, rules));
+        const auction = new Auction(participants, playerData, rules);
+        playerData.slice(10, 20).forEach((player, i) => auction.addKeeper(participants[1], player.id, i === 0 ? 10 : 1));
+        const turns = [];
+        const bids = [];
+        auction.on('turn', turn => turns.push(`${turn.phase}:${turn.participant.name}`));
+        auction.on('bid', ({ participant, amount, skipped }) => bids.push(`${participant.name}:${amount}:${skipped}`));
+        auction.start();
+
+        auction.nominate(null);
+        auction.bid(5);
+        auction.bid(4);
+
+        expect(turns).toEqual(['nominate:A', 'bid:A', 'bid:C', 'nominate:B']);
+        expect(bids).toEqual(['A:5:false', 'B:0:true', 'C:4:false']);
+        expect(participants[0].roster[0].bid).toBe(5);
+    });
+
+    test("should put keepers on their teams before the auction starts", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+
+        expect(auction.addKeeper(participants[0], playerData[0].id, 30)).toBeNull();
+        expect(participants[0].spent).toBe(30);
+        expect(participants[0].playersLeft).toBe(DEFAULT_RULES.rosterSize - 1);
+        expect(participants[0].cumulativeStats.ppg).toBe(playerData[0].ppg);
+        expect(participants[0].roster[0]).toEqual({ player: playerData[0], bid: 30, keeper: true });
+        expect(auction.availablePlayers()).not.toContain(playerData[0]);
+
+        expect(auction.addKeeper(participants[1], playerData[0].id, 30)).toBe(`${playerData[0].player} is already kept.`);
+        expect(auction.addKeeper(participants[1], playerData[1].id, 0)).toMatch('at least $1');
+        expect(auction.addKeeper(participants[1], playerData[1].id, DEFAULT_RULES.totalBudget)).toMatch('cannot afford');
+
+        auction.start();
+        expect(auction.addKeeper(participants[1], playerData[1].id, 5)).toBe('Keepers can only be added before the auction starts.');
+        auction.nominate(null);
+        expect(auction.lot.player).toBe(playerData[1]);
+    });
+
+    test("should only take commissioner corrections while paused", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        expect(auction.pause()).toBe(false);
+        auction.start();
+
+        expect(auction.undoLastLot()).toBe('Pause the auction first.');
+        expect(auction.pause()).toBe(true);
+        expect(auction.nominate(playerData[0].id)).toBe(false);
+        expect(auction.undoLastLot()).toBe('No lot has been awarded yet.');
+        expect(auction.resume()).toBe(false);
+        auction.nominate(playerData[0].id);
+        expect(auction.lot.player).toBe(playerData[0]);
+        expect(auction.auditLog.map(entry => entry.action)).toEqual(['pause', 'resume']);
+    });
+
+    test("should undo the last lot, giving the money back and letting the nominator nominate again", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        const turns = [];
+        auction.on('turn', turn => turns.push(`${turn.phase}:${turn.participant.name}`));
+        auction.start();
+        auction.nominate(playerData[0].id);
+        auction.bid(10);
+        auction.bid(4);
+        auction.nominate(playerData[1].id);
+
+        auction.pause();
+        expect(auction.undoLastLot()).toBeNull();
+        expect(participants[0].spent).toBe(0);
+        expect(participants[0].roster).toEqual([]);
+        expect(participants[0].playersLeft).toBe(DEFAULT_RULES.rosterSize);
+        expect(auction.history).toEqual([]);
+        expect(auction.availablePlayers()).toContain(playerData[0]);
+        // the lot that was open when the auction paused is called off too.
+        expect(auction.availablePlayers()).toContain(playerData[1]);
+
+        turns.length = 0;
+        expect(auction.resume()).toBe(true);
+        expect(turns).toEqual(['nominate:A']);
+        expect(auction.auditLog.map(entry => entry.action)).toEqual(['pause', 'undo', 'resume']);
+    });
+
+    test("should move players between teams and change budgets", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 2, slots: { G: 1, F: 1 } };
+        const participants = ['A', 'B'].map(name => new Participant(name, false, rules));
+        const auction = new Auction(participants, playerData, rules);
+        const guard = playerData.find(player => player.pos.includes('G'));
+        auction.addKeeper(participants[0], guard.id, 40);
+        auction.start();
+        auction.pause();
+
+        expect(auction.movePlayer(guard.id, participants[0])).toBe(`${guard.player} is already on A.`);
+        expect(auction.setBudget(participants[1], 30)).toBeNull();
+        expect(auction.movePlayer(guard.id, participants[1])).toBe(`B cannot afford ${guard.player} at $40.`);
+        expect(auction.setBudget(participants[1], 300)).toBeNull();
+        expect(auction.movePlayer(guard.id, participants[1])).toBeNull();
+        expect(participants[1].roster).toEqual([{ player: guard, bid: 40, keeper: true }]);
+        expect([participants[0].spent, participants[1].spent]).toEqual([0, 40]);
+        expect(participants[1].maxBid).toBe(300 - 40 - rules.minimumBid);
+
+        expect(auction.setBudget(participants[1], 40)).toBe("B's budget has to be a whole number of dollars, at least $41.");
+        expect(auction.auditLog.map(entry => entry.description)).toEqual([
+            'Paused the auction.',
+            'Changed B\'s budget from $200 to $30.',
+            'Changed B\'s budget from $30 to $300.',
+            `Moved ${guard.player} ($40) from A to B.`,
+        ]);
+    });
+
+    test("should replay the same auction from the same seed", () => {
+        const summarize = ({ awards }) => awards.map(({ winner, player, price }) => `${winner.name}:${player.id}:${price}`);
+        const first = runBotAuction(6, DEFAULT_RULES, createRandom('replay'));
+        const second = runBotAuction(6, DEFAULT_RULES, createRandom('replay'));
+
+        expect(summarize(second)).toEqual(summarize(first));
+        expect(second.participants.map(p => p.aggression)).toEqual(first.participants.map(p => p.aggression));
+    });
+});
+
+describe("Saving and resuming", () => {
+    test("should resume a saved auction exactly where it left off", () => {
+        const summarize = awards => awards.map(({ winner, player, price }) => `${winner.name}:${player.id}:${price}`);
+        const uninterrupted = runBotAuction(5, DEFAULT_RULES, createRandom('resume'));
+
+        const random = createRandom('resume');
+        const participants = Array.from({ length: 5 }, (_, i) => new Participant(`Bot ${i + 1}`, true, DEFAULT_RULES, random));
+        const first = new Auction(participants, playerData, DEFAULT_RULES, random);
+        const awards = [];
+        let saved;
+        first.on('award', award => {
+            awards.push(award);
+            if (awards.length === 17) {
+                saved = JSON.stringify(first.toJSON());
+            }
+        });
+        first.start();
+        while (awards.length < 17 || first.phase === 'bidding') {
+            first.playBotTurn();
+        }
+
+        const resumed = Auction.fromJSON(JSON.parse(saved), playerData);
+        const resumedAwards = awards.slice(0, 17);
+        resumed.on('award', award => resumedAwards.push(award));
+        resumed.start();
+        while (resumed.phase !== 'complete') {
+            resumed.playBotTurn();
+        }
+
+        expect(summarize(resumedAwards)).toEqual(summarize(uninterrupted.awards));
+        expect(resumed.history.map(record => record.lot)).toEqual(uninterrupted.auction.history.map(record => record.lot));
+        resumed.participants.forEach((participant, i) => {
+            expect(participant.spent).toBe(uninterrupted.auction.participants[i].spent);
+            expect(participant.cumulativeStats).toEqual(uninterrupted.auction.participants[i].cumulativeStats);
+        });
+    });
+
+    test("should keep keepers marked as kept through a save", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        const auction = new Auction(participants, playerData);
+        auction.addKeeper(participants[1], playerData[2].id, 12);
+
+        const resumed = Auction.fromJSON(JSON.parse(JSON.stringify(auction.toJSON())), playerData);
+        expect(resumed.participants[1].roster).toEqual([{ player: playerData[2], bid: 12, keeper: true }]);
+        expect(resumed.participants[1].spent).toBe(12);
+        expect(resumed.nominatedIds.has(playerData[2].id)).toBe(true);
+    });
+
+    test("should keep owners, budgets and the audit trail through a save", () => {
+        const participants = ['A', 'B'].map(name => new Participant(name));
+        participants[1].owner = 'Dana';
+        const auction = new Auction(participants, playerData);
+        auction.start();
+        auction.pause();
+        auction.setBudget(participants[0], 250);
+
+        const resumed = Auction.fromJSON(JSON.parse(JSON.stringify(auction.toJSON())), playerData);
+        expect(resumed.participants[0].budget).toBe(250);
+        expect(resumed.participants.map(participant => participant.owner)).toEqual(['', 'Dana']);
+        expect(resumed.participants[0].maxBid).toBe(participants[0].maxBid);
+        expect(resumed.auditLog).toEqual(auction.auditLog);
+    });
+
+    test("should reject saves it cannot restore", () => {
+        const { auction } = runBotAuction(4, { ...DEFAULT_RULES, rosterSize: 5, slots: { PG: 1, SG: 1, SF: 1, PF: 1, C: 1 } });
+        const saved = auction.toJSON();
+
+        expect(() => Auction.fromJSON({ ...saved, version: 0 }, playerData)).toThrow('different version');
+        expect(() => Auction.fromJSON(saved, playerData.slice(0, 5))).toThrow('not in the player data');
+    });
+});
@@ -0,0 +1,203 @@
+const dataset = require('../data.json');
+const playerData = dataset.players;
+const { DEFAULT_RULES } = require('../src/engine');
+const { Room } = require('../server/room');
+
+class FakeClient {
+    constructor() {
+        this.messages = [];
+    }
+
+    send(raw) {
+        this.messages.push(JSON.parse(raw));
+    }
+
+    ofType(type) {
+        return this.messages.filter(message => message.type === type);
+    }
+}
+
+function createRoom(humanSeats = 2, leagueSize = 4) {
+    const rules = { ...DEFAULT_RULES, rosterSize: 2 };
+    const room = new Room('ABCD', { leagueSize, humanSeats, rules, seed: 'room' }, dataset);
+    const clients = Array.from({ length: humanSeats }, () => new FakeClient());
+    clients.forEach((client, i) => room.join(client, `Human ${i + 1}`));
+    return { room, clients, rules };
+}
+
+describe("Auction room", () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test("should seat players and give duplicate names a suffix", () => {
+        const room = new Room('ABCD', { leagueSize: 4, humanSeats: 3, rules: DEFAULT_RULES }, dataset);
+        expect(room.join(new FakeClient(), 'Sam').name).toBe('Sam');
+        expect(room.join(new FakeClient(), 'Sam').name).toBe('Sam (2)');
+        expect(room.join(new FakeClient(), 'Bot 1').name).toBe('Bot 1 (2)');
+        expect(room.join(new FakeClient(), 'Late').error).toBe('This room is full.');
+    });
+
+    test("should only let the host start the auction", () => {
+        const { room, clients } = createRoom();
+        expect(room.handleMessage(clients[1], { type: 'start' })).toBe('Only the host can start the auction.');
+        expect(room.handleMessage(clients[0], { type: 'start' })).toBeNull();
+        expect(clients[1].ofType('started')[0].participants).toHaveLength(4);
+        expect(clients[1].ofType('started')[0].dataset.name).toBe(dataset.name);
+    });
+
+    test("should give bots the personality and difficulty the host picked", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 2 };
+        const bots = [{ strategy: 'starsAndScrubs', difficulty: 'hard' }];
+        const room = new Room('ABCD', { leagueSize: 4, humanSeats: 2, rules, seed: 'room', bots }, dataset);
+        const host = new FakeClient();
+        room.join(host, 'Host');
+        room.start(host);
+
+        const profiles = room.auction.participants.filter(participant => participant.isAi)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(({ name, strategy, difficulty }) => ({ name, strategy, difficulty }));
+        expect(profiles).toEqual([
+            { name: 'Bot 1', strategy: 'starsAndScrubs', difficulty: 'hard' },
+            { name: 'Bot 2', strategy: 'balanced', difficulty: 'normal' },
+            { name: 'Bot 3', strategy: 'balanced', difficulty: 'normal' },
+        ]);
+        expect(host.ofType('started')[0].participants[0]).not.toHaveProperty('strategy');
+    });
+
+    test("should only take a bot's personality and difficulty from the host", () => {
+        const rules = { ...DEFAULT_RULES, rosterSize: 2 };
+        const bots = [{ strategy: 'balanced', difficulty: 'normal', roster: null, spent: -500, name: 'Sneaky', isAi: false }];
+        const room = new Room('ABCD', { leagueSize: 4, humanSeats: 1, rules, seed: 'room', bots }, dataset);
+        const host = new FakeClient();
+        room.join(host, 'Host');
+
+        expect(room.start(host)).toBeNull();
+        const bot = room.auction.participants.find(participant => participant.name === 'Bot 1');
+        expect(bot).toEqual(expect.objectContaining({ isAi: true, spent: 0, roster: [], strategy: 'balanced', difficulty: 'normal' }));
+    });
+
+    test("should reject actions from players whose turn it is not", () => {
+        const { room, clients } = createRoom();
+        room.start(clients[0]);
+
+        const current = room.auction.currentParticipant;
+        const idle = clients.find((client, i) => room.seats[i].participant !== current);
+        expect(room.handleMessage(idle, { type: 'nominate', playerId: 1 })).toBe('It is not your turn.');
+    });
+
+    test("should keep bids sealed until the lot is awarded", () => {
+        const { room, clients } = createRoom();
+        room.start(clients[0]);
+        jest.runAllTimers();
+
+        const [observer] = clients;
+        observer.ofType('bid').forEach(message => expect(message).not.toHaveProperty('amount'));
+
+        const awards = observer.ofType('award');
+        expect(awards.length).toBeGreaterThan(0);
+        awards.forEach(award => {
+            expect(award.bids).toHaveLength(4);
+            expect(award.bids.map(bid => bid.amount)).toContain(award.price);
+            expect(award.record).toEqual(expect.objectContaining({ winner: award.winner, price: award.price, bids: award.bids }));
+        });
+    });
+
+    test("should run the whole auction server-side, acting for players who time out", () => {
+        const { room, clients, rules } = createRoom();
+        room.start(clients[0]);
+        jest.runAllTimers();
+
+        expect(room.auction.phase).toBe('complete');
+        const [complete] = clients[1].ofType('complete');
+        complete.participants.forEach(participant => {
+            expect(participant.roster).toHaveLength(rules.rosterSize);
+            expect(participant).not.toHaveProperty('aggression');
+        });
+    });
+
+    test("should accept a human bid on their turn", () => {
+        const { room, clients } = createRoom(1, 4);
+        room.start(clients[0]);
+        const [seat] = room.seats;
+
+        while (room.auction.currentParticipant !== seat.participant) {
+            jest.advanceTimersToNextTimer();
+        }
+        if (room.auction.phase === 'nominating') {
+            expect(room.handleMessage(clients[0], { type: 'nominate', playerId: null })).toBeNull();
+        }
+        while (room.auction.currentParticipant !== seat.participant) {
+            jest.advanceTimersToNextTimer();
+        }
+        expect(room.handleMessage(clients[0], { type: 'bid', amount: 3.5 })).toBe('Bids are whole dollars; bid 0 to pass.');
+        expect(room.handleMessage(clients[0], { type: 'bid', amount: 1000 })).toMatch('Max bid is $');
+        expect(room.auction.currentParticipant).toBe(seat.participant);
+        expect(room.handleMessage(clients[0], { type: 'bid', amount: 3 })).toBeNull();
+        while (clients[0].ofType('award').length === 0) {
+            jest.advanceTimersToNextTimer();
+        }
+        expect(clients[0].ofType('award')[0].bids).toContainEqual({ name: 'Human 1', amount: 3 });
+    });
+
+    test("should turn down a bid sent during a nomination turn", () => {
+        const { room, clients } = createRoom(1, 4);
+        room.start(clients[0]);
+        const [seat] = room.seats;
+
+        while (room.auction.currentParticipant !== seat.participant || room.auction.phase !== 'nominating') {
+            jest.advanceTimersToNextTimer();
+        }
+        expect(room.handleMessage(clients[0], { type: 'bid', amount: 5 })).toBe('It is not your turn.');
+        expect(room.auction.phase).toBe('nominating');
+        expect(room.auction.currentParticipant).toBe(seat.participant);
+    });
+
+    test("should report a turn the server cannot play instead of throwing from its timer", () => {
+        const { room, clients } = createRoom();
+        room.start(clients[0]);
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(room.auction, 'playBotTurn').mockImplementation(() => {
+            throw new Error('broken bot');
+        });
+        jest.spyOn(room.auction, 'nominate').mockImplementation(() => {
+            throw new Error('broken nomination');
+        });
+
+        expect(() => jest.advanceTimersToNextTimer()).not.toThrow();
+        expect(clients[1].ofType('error')).toEqual([{ type: 'error', message: 'The server could not play that turn.' }]);
+        expect(error).toHaveBeenCalled();
+        error.mockRestore();
+    });
+
+    test("should keep each player's nomination queue private and nominate from it on a timeout", () => {
+        const { room, clients } = createRoom(1, 4);
+        expect(room.handleMessage(clients[0], { type: 'queue', playerIds: [playerData[9].id] })).toBe('The auction has not started.');
+        room.start(clients[0]);
+        const [seat] = room.seats;
+        expect(room.handleMessage(clients[0], { type: 'queue', playerIds: [playerData[9].id, 'junk'] })).toBeNull();
+        expect(seat.participant.nominationQueue).toEqual([playerData[9].id]);
+
+        while (room.auction.currentParticipant !== seat.participant || room.auction.phase !== 'nominating') {
+            jest.advanceTimersToNextTimer();
+        }
+        jest.advanceTimersToNextTimer();
+        expect(room.auction.lot.player).toBe(playerData[9]);
+        clients[0].ofType('started')[0].participants.forEach(participant => {
+            expect(participant).not.toHaveProperty('nominationQueue');
+            expect(participant).not.toHaveProperty('watchlist');
+        });
+    });
+
+    test("should let a player reclaim their seat with their token", () => {
+        const { room, clients } = createRoom();
+        const seatToken = room.seats[1].token;
+        room.start(clients[0]);
+        room.leave(clients[1]);
+
+        const returning = new FakeClient();
+        expect(room.join(returning, 'whatever', seatToken)).toEqual({ seat: 1, name: 'Human 2', token: seatToken });
+        room.sendState(returning);
+        expect(returning.ofType('started')).toHaveLength(1);
+        expect(room.join(new FakeClient(), 'Late')).toEqual({ error: 'This auction has already started.' });
+    });
+});
@@ -0,0 +1,60 @@
+const playerData = require('../data.json').players;
+const { buildValueModel, playerZScores, playerValue } = require('../src/values');
+
+const nineCategories = ['fg_pct', 'ft_pct', 'ppg', 'apg', 'rpg', 'three_p', 'spg', 'bpg', 'tos']
+    .map(stat => ({ stat, lowerIsBetter: stat === 'tos' }));
+
+function league(overrides = {}) {
+    return { leagueSize: 10, rosterSize: 13, totalBudget: 200, minimumBid: 1, categories: nineCategories, weights: null, ...overrides };
+}
+
+describe("Auction values", () => {
+    test("should price the players a full league rosters at the whole league budget", () => {
+        const model = buildValueModel(playerData, league());
+        const values = playerData.map(player => playerValue(player, model)).filter(value => value > 0);
+
+        expect(values.length).toBeLessThanOrEqual(10 * 13);
+        expect(values.length).toBeGreaterThan(10 * 13 - 3);
+        expect(values.reduce((sum, value) => sum + value, 0)).toBeCloseTo(10 * 200, 0);
+        values.forEach(value => expect(value).toBeGreaterThanOrEqual(1));
+    });
+
+    test("should score fewer turnovers higher", () => {
+        const model = buildValueModel(playerData, league());
+        const careful = playerZScores({ ...playerData[0], tos: 1 }, model);
+        const sloppy = playerZScores({ ...playerData[0], tos: 5 }, model);
+
+        expect(careful.tos).toBeGreaterThan(sloppy.tos);
+        expect(sloppy.tos).toBeLessThan(0);
+    });
+
+    test("should weight percentages by attempts", () => {
+        const model = buildValueModel(playerData, league());
+        const starter = playerZScores({ ...playerData[0], fg_pct: 0.6, fga: 15 }, model);
+        const reserve = playerZScores({ ...playerData[0], fg_pct: 0.6, fga: 3 }, model);
+        const bricklayer = playerZScores({ ...playerData[0], fg_pct: 0.38, fga: 15 }, model);
+
+        expect(starter.fg_pct).toBeGreaterThan(reserve.fg_pct);
+        expect(reserve.fg_pct).toBeGreaterThan(0);
+        expect(bricklayer.fg_pct).toBeLessThan(0);
+    });
+
+    test("should move replacement level with league and roster size", () => {
+        const priced = settings => {
+            const model = buildValueModel(playerData, league(settings));
+            return playerData.filter(player => playerValue(player, model) > 0).length;
+        };
+        expect(priced({ leagueSize: 8, rosterSize: 10 })).toBeLessThan(priced({ leagueSize: 14, rosterSize: 15 }));
+    });
+
+    test("should rate a points league by fantasy points", () => {
+        const model = buildValueModel(playerData, league({ weights: { ppg: 1 } }));
+        const byPoints = [...playerData].sort((a, b) => b.ppg - a.ppg);
+        expect(playerValue(byPoints[0], model)).toBeGreaterThan(playerValue(byPoints[20], model));
+        expect(playerValue(byPoints[byPoints.length - 1], model)).toBe(0);
+    });
+
+    test("should reuse the model for the same pool and league", () => {
+        expect(buildValueModel(playerData, league())).toBe(buildValueModel(playerData, league()));
+    });
+});
@@ -0,0 +1,165 @@
+const playerData = require('../data.json').players;
+const { createRandom } = require('../src/random');
+const { DEFAULT_RULES, SCORING_PRESETS, Participant, Auction, suggestedPrices } = require('../src/engine');
+const { draftResults, draftReport, resultsToCSV, readDraftExport } = require('../src/results');
+
+const REPORT_RULES = { ...DEFAULT_RULES, rosterSize: 4, slots: { G: 1, F: 1, C: 1 } };
+
+function runAuction(rules = REPORT_RULES) {
+    const random = createRandom('results');
+    const participants = Array.from({ length: 4 }, (_, i) => new Participant(`Bot ${i + 1}`, true, rules, random));
+    const auction = new Auction(participants, playerData, rules, random);
+    auction.start();
+    while (auction.phase !== 'complete') {
+        auction.playBotTurn();
+    }
+    return auction;
+}
+
+
+function finishedAuction() {
+    return runAuction().participants;
+}
+
+describe("Draft results", () => {
+    test("should list every team's roster in rank order", () => {
+        const participants = finishedAuction();
+        const results = draftResults(participants);
+
+        expect(results.map(result => result.rank)).toEqual([1, 2, 3, 4]);
+        results.forEach(result => {
+            const participant = participants.find(p => p.name === result.name);
+            expect(result.spent).toBe(participant.spent);
+            expect(result.stats).toEqual(participant.cumulativeStats);
+            expect(result.roster.map(pick => pick.playerId).sort()).toEqual(participant.roster.map(({ player }) => player.id).sort());
+            expect(result.roster.map(pick => pick.slot)).toEqual(['G', 'F', 'C', 'BN']);
+            expect(result.roster[0]).toEqual(expect.objectContaining({ player: expect.any(String), pos: expect.any(String), team: expect.any(String) }));
+        });
+    });
+
+    test("should include each team's roto standing", () => {
+        const results = draftResults(finishedAuction());
+        const categories = DEFAULT_RULES.scoring.categories.length;
+
+        expect(results.map(result => result.rotoRank).sort()).toEqual([1, 2, 3, 4]);
+        // every category hands out 1 + 2 + 3 + 4 points between the four teams.
+        expect(results.reduce((total, result) => total + result.rotoTotal, 0)).toBe(10 * categories);
+        results.forEach(result => expect(Object.keys(result.rotoPoints)).toHaveLength(categories));
+    });
+
+    test("should write one CSV row per drafted player", () => {
+        const results = draftResults(finishedAuction());
+        const lines = resultsToCSV(results).trim().split('\r\n');
+
+        expect(lines[0].split(',').slice(0, 8)).toEqual(['rank', 'fantasy_team', 'slot', 'player_id', 'player', 'pos', 'team', 'price']);
+        expect(lines).toHaveLength(1 + 4 * 4);
+        expect(lines[1].startsWith(`1,${results[0].name},G,${results[0].roster[0].playerId},`)).toBe(true);
+    });
+
+    test("should quote CSV fields that contain commas or quotes", () => {
+        const participant = new Participant('Smith, "The Shark"');
+        participant.addPlayer(playerData[0], 12);
+
+        const row = resultsToCSV(draftResults([participant])).split('\r\n')[1];
+        expect(row.startsWith('1,"Smith, ""The Shark""",')).toBe(true);
+    });
+
+    test("should read the picks back out of a CSV or JSON export", () => {
+        const results = draftResults(finishedAuction());
+        const picks = results.flatMap(result => result.roster.map(pick => ({ team: result.name, playerId: pick.playerId, player: pick.player, price: pick.price })));
+
+        expect(readDraftExport(resultsToCSV(results))).toEqual(picks);
+        expect(readDraftExport(JSON.stringify({ seed: 'results', teams: results }))).toEqual(picks);
+        expect(() => readDraftExport('name,ppg\nSomeone,10')).toThrow('not a draft export');
+    });
+
+    test("should mark keepers in the results", () => {
+        const participant = new Participant('Keeper');
+        const auction = new Auction([participant], playerData);
+        auction.addKeeper(participant, playerData[0].id, 25);
+        participant.spent += 3;
+        participant.addPlayer(playerData[1], 3);
+
+        const [result] = draftResults([participant]);
+        const keeperOf = id => result.roster.find(pick => pick.playerId === id).keeper;
+        expect([keeperOf(playerData[0].id), keeperOf(playerData[1].id)]).toEqual([true, false]);
+        expect(resultsToCSV([result]).trim().split('\r\n').slice(1).map(row => row.split(',').pop()).sort()).toEqual(['no', 'yes']);
+    });
+});
+
+describe("Draft report", () => {
+    function report(rules = REPORT_RULES) {
+        const auction = runAuction(rules);
+        const prices = suggestedPrices(playerData, rules, 4);
+        return { auction, prices, report: draftReport(auction.participants, { scoring: rules.scoring, prices, history: auction.history }) };
+    }
+
+    test("should compare every team's categories with the league average", () => {
+        const { auction, report: { teams, averages } } = report();
+        const categories = DEFAULT_RULES.scoring.categories.length;
+
+        expect(Object.keys(averages)).toHaveLength(categories);
+        expect(averages.ppg).toBeCloseTo(auction.participants.reduce((sum, team) => sum + team.cumulativeStats.ppg, 0) / 4);
+        teams.forEach(team => {
+            expect(team.categories).toHaveLength(categories);
+            const ppg = team.categories.find(({ stat }) => stat === 'ppg');
+            expect(ppg.difference).toBeCloseTo(ppg.value - averages.ppg);
+            team.strengths.forEach(stat => expect(team.categories.find(category => category.stat === stat).score).toBeGreaterThanOrEqual(0.5));
+            team.weaknesses.forEach(stat => expect(team.categories.find(category => category.stat === stat).score).toBeLessThanOrEqual(-0.5));
+        });
+        // turnovers count against a team, so fewer than average is a good score.
+        const tos = teams.map(team => team.categories.find(({ stat }) => stat === 'tos')).find(({ difference }) => difference < 0);
+        expect(tos.score).toBeGreaterThan(0);
+    });
+
+    test("should price every pick against its value and pick out the steals and overpays", () => {
+        const { prices, report: { teams, steals, overpays } } = report();
+
+        teams.forEach(team => {
+            team.picks.forEach(pick => expect(pick.surplus).toBe(prices.get(pick.playerId) - pick.price));
+            expect(team.value).toBe(team.picks.reduce((sum, pick) => sum + pick.value, 0));
+        });
+        const surpluses = teams.flatMap(team => team.picks.map(pick => pick.surplus)).sort((a, b) => b - a);
+        expect(steals.map(pick => pick.surplus)).toEqual(surpluses.filter(surplus => surplus > 0).slice(0, 3));
+        expect(overpays.map(pick => pick.surplus)).toEqual(surpluses.reverse().filter(surplus => surplus < 0).slice(0, 3));
+        expect(steals[0]).toEqual(expect.objectContaining({ name: expect.any(String), player: expect.any(String) }));
+    });
+
+    test("should split each team's spending by position and by phase of the draft", () => {
+        const { auction, report: { teams } } = report();
+
+        teams.forEach(team => {
+            const participant = auction.participants.find(p => p.name === team.name);
+            const total = entries => entries.reduce((sum, { spent }) => sum + spent, 0);
+            expect(total(team.spendingByPosition)).toBe(participant.spent);
+            expect(total(team.spendingByPhase)).toBe(participant.spent);
+            expect(team.spendingByPhase.map(({ key }) => key)).toEqual(['keepers', 'early', 'middle', 'late']);
+        });
+        // the first lot is early and the last one late.
+        const picks = teams.flatMap(team => team.picks);
+        expect(picks.find(pick => pick.lot === 1).phase).toBe('early');
+        expect(picks.find(pick => pick.lot === auction.history.length).phase).toBe('late');
+    });
+
+    test("should explain each projected rank with the head to head matchups", () => {
+        const { report: { teams } } = report();
+
+        expect(teams.map(team => team.rank)).toEqual([1, 2, 3, 4]);
+        teams.forEach(team => {
+            expect(team.matchups).toHaveLength(3);
+            expect(team.matchups.reduce((sum, { won }) => sum + won, 0)).toBe(team.h2hPoints);
+            expect(team.maxPoints).toBe(27);
+            expect(team.explanation).toMatch(`won ${team.h2hPoints} of 27 category matchups`);
+        });
+        expect(teams[0].explanation.startsWith('Projected 1st of 4')).toBe(true);
+    });
+
+    test("should explain ranks in points leagues by fantasy points", () => {
+        const { report: { teams } } = report({ ...REPORT_RULES, scoring: SCORING_PRESETS.points });
+
+        teams.forEach(team => {
+            expect(team.maxPoints).toBe(3);
+            expect(team.explanation).toMatch(`${team.fantasyPoints.toFixed(1)} fantasy points, more than ${team.h2hPoints} of the other 3 teams.`);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { DEFAULT_RULES, RULE_PRESETS } = require('../src/engine');
+const { LEAGUE_PROFILE_VERSION, nameTeams, validateTeams, createLeagueProfile, readLeagueProfile } = require('../src/leagues');
+
+function teams(count = 4) {
+    return Array.from({ length: count }, (_, i) => (i === 0
+        ? { name: 'Splash Bros', owner: 'Dana', isAi: false }
+        : { name: '', owner: '', isAi: true, strategy: 'balanced', difficulty: 'normal' }));
+}
+
+describe("League profiles", () => {
+    test("should name unnamed teams after their seat type", () => {
+        const named = nameTeams([
+            { name: '  ', owner: ' Sam ', isAi: false },
+            { name: 'Bench Mob', owner: '', isAi: true },
+            { name: '', owner: '', isAi: false },
+            { name: '', owner: '', isAi: true },
+        ]);
+        expect(named.map(team => team.name)).toEqual(['Player 1', 'Bench Mob', 'Player 2', 'Bot 2']);
+        expect(named[0].owner).toBe('Sam');
+    });
+
+    test("should reject duplicate, long and missing team names", () => {
+        const named = nameTeams(teams());
+        expect(validateTeams(named)).toEqual([]);
+
+        named[2].name = 'splash bros';
+        named[3].name = 'x'.repeat(25);
+        named[1].strategy = 'reckless';
+        expect(validateTeams(named)).toEqual([
+            'Bot 1 needs a known personality and difficulty.',
+            'There is more than one team called splash bros.',
+            `${'x'.repeat(25)} is longer than 24 characters.`,
+        ]);
+        expect(validateTeams(named.slice(0, 3))).toEqual(['A league has between 4 and 20 teams.']);
+    });
+
+    test("should save teams and rules and read them back", () => {
+        const profile = createLeagueProfile(' Office League ', nameTeams(teams()), RULE_PRESETS.deep);
+        expect(profile.name).toBe('Office League');
+        expect(profile.teams[0]).toEqual({ name: 'Splash Bros', owner: 'Dana', isAi: false });
+        expect(profile.teams[1]).toEqual({ name: 'Bot 1', owner: '', isAi: true, strategy: 'balanced', difficulty: 'normal' });
+
+        const read = readLeagueProfile(JSON.parse(JSON.stringify(profile)));
+        expect(read.teams).toEqual(profile.teams);
+        expect(read.rules).toEqual(RULE_PRESETS.deep);
+    });
+
+    test("should fill in rules added since a profile was saved", () => {
+        const { tieBreakers, ...olderRules } = DEFAULT_RULES;
+        const profile = createLeagueProfile('Old', nameTeams(teams()), olderRules);
+        expect(readLeagueProfile(profile).rules.tieBreakers).toEqual(tieBreakers);
+    });
+
+    test("should reject profiles it cannot use", () => {
+        const profile = createLeagueProfile('League', nameTeams(teams()), DEFAULT_RULES);
+        expect(() => readLeagueProfile(null)).toThrow('not a league profile');
+        expect(() => readLeagueProfile({ ...profile, schemaVersion: LEAGUE_PROFILE_VERSION + 1 })).toThrow('newer version');
+        expect(() => readLeagueProfile({ ...profile, rules: { ...DEFAULT_RULES, rosterSize: 0 } })).toThrow('The league profile League cannot be used');
+        expect(() => readLeagueProfile({ ...profile, teams: profile.teams.slice(0, 2) })).toThrow('between 4 and 20 teams');
+    });
+});
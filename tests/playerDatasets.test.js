@@ -0,0 +1,86 @@
+const dataset = require('../data.json');
+const manifest = require('../datasets.json');
+const { DATASET_SCHEMA_VERSION, validateDataset, readDataset, blendSeasons, resolveDatasets } = require('../src/datasets');
+
+function season(name, players) {
+    return { schemaVersion: DATASET_SCHEMA_VERSION, name, season: name, kind: 'season', players };
+}
+
+const guard = dataset.players[0];
+
+describe("Datasets", () => {
+    test("should resolve every dataset datasets.json lists", () => {
+        const datasets = resolveDatasets(manifest, { 'data.json': dataset });
+
+        expect(datasets[0]).toMatchObject({ id: manifest.datasets[0].id, name: dataset.name, kind: 'season' });
+        expect(datasets[0].players).toBe(dataset.players);
+    });
+
+    test("should upgrade a bare list of players to the current schema", () => {
+        const upgraded = readDataset(dataset.players.slice(0, 5), { name: 'Mine', season: '2025-26', kind: 'projection' });
+
+        expect(upgraded).toMatchObject({ schemaVersion: DATASET_SCHEMA_VERSION, name: 'Mine', season: '2025-26', kind: 'projection' });
+        expect(upgraded.players).toHaveLength(5);
+    });
+
+    test("should refuse datasets from a newer version and say what is wrong with invalid ones", () => {
+        expect(() => readDataset({ ...dataset, schemaVersion: DATASET_SCHEMA_VERSION + 1 })).toThrow('newer version');
+        expect(validateDataset({ ...dataset, kind: 'rumours', season: '' })).toEqual([
+            'season is missing.',
+            'kind must be one of season, average, projection.',
+        ]);
+        expect(() => readDataset({ ...dataset, players: [] })).toThrow('The dataset cannot be used: The player data has no players.');
+    });
+
+    test("should average seasons by weight and games, and percentages by attempts too", () => {
+        const recent = season('2024-25', [{ ...guard, team: 'NEW', games: 60, ppg: 30, fga: 20, fg_pct: 0.5 }]);
+        const older = season('2023-24', [{ ...guard, team: 'OLD', games: 30, ppg: 12, fga: 10, fg_pct: 0.4 }]);
+        const [player] = blendSeasons([{ dataset: recent, weight: 2 }, { dataset: older, weight: 1 }], { name: 'Blend', season: '2023-25' }).players;
+
+        // weights 2 * 60 and 1 * 30 games.
+        expect(player.ppg).toBeCloseTo((120 * 30 + 30 * 12) / 150, 1);
+        expect(player.games).toBe(50);
+        expect(player.fg_pct).toBeCloseTo((120 * 20 * 0.5 + 30 * 10 * 0.4) / (120 * 20 + 30 * 10), 3);
+        expect(player.team).toBe('NEW');
+    });
+
+    test("should blend datasets listed before the average, by ID", () => {
+        const recent = season('2024-25', [{ ...guard, ppg: 30 }]);
+        const older = season('2023-24', [{ ...guard, ppg: 10 }, { ...dataset.players[1] }]);
+        const averaged = {
+            schemaVersion: DATASET_SCHEMA_VERSION,
+            datasets: [
+                { id: 'recent', file: 'recent.json' },
+                { id: 'older', file: 'older.json' },
+                { id: 'average', name: 'Two seasons', season: '2023-25', blend: [{ id: 'recent', weight: 1 }, { id: 'older', weight: 1 }] },
+            ],
+        };
+        const datasets = resolveDatasets(averaged, { 'recent.json': recent, 'older.json': older });
+
+        expect(datasets.map(({ id, kind, players }) => [id, kind, players.length])).toEqual([
+            ['recent', 'season', 1], ['older', 'season', 2], ['average', 'average', 1],
+        ]);
+        expect(() => resolveDatasets({ ...averaged, datasets: averaged.datasets.slice(2) }, {}))
+            .toThrow('The average dataset averages recent, which is not listed before it.');
+    });
+
+    test("should refuse an average with a weight that is not above 0", () => {
+        const recent = season('2024-25', [{ ...guard, ppg: 30 }]);
+        const older = season('2023-24', [{ ...guard, ppg: 10 }]);
+        [0, -1, NaN, '2'].forEach(weight => {
+            expect(() => blendSeasons([{ dataset: recent, weight: 1 }, { dataset: older, weight }], { name: 'Blend', season: '2023-25' }))
+                .toThrow('Every season in an average needs a weight above 0.');
+        });
+        expect(() => blendSeasons([], { name: 'Blend', season: '2023-25' })).toThrow('needs a weight above 0');
+
+        const manifestWithZero = {
+            schemaVersion: DATASET_SCHEMA_VERSION,
+            datasets: [
+                { id: 'recent', file: 'recent.json' },
+                { id: 'average', name: 'One season', season: '2024-25', blend: [{ id: 'recent', weight: 0 }] },
+            ],
+        };
+        expect(() => resolveDatasets(manifestWithZero, { 'recent.json': recent }))
+            .toThrow('The average dataset cannot be used: Every season in an average needs a weight above 0.');
+    });
+});
@@ -0,0 +1,116 @@
+const playerData = require('../data.json').players;
+const { parseCSV, validatePlayers, importPlayers, poolSizeWarning } = require('../src/players');
+
+const HEADER = 'Rk,Player,Age,Team,Pos,G,GS,MP,FG,FGA,FG%,3P,3PA,3P%,FT,FTA,FT%,TRB,AST,STL,BLK,TOV,PF,PTS,Awards,Player-additional';
+
+function csv(...rows) {
+    return [HEADER, ...rows].join('\n');
+}
+
+const embiid = '1,Joel Embiid,29,PHI,C,39,39,33.6,11.5,21.8,.529,1.4,3.6,.388,10.2,11.6,.883,11.0,5.6,1.2,1.7,3.8,2.9,34.7,"MVP-1,AS",embiijo01';
+
+describe("CSV parsing", () => {
+    test("should split quoted fields, escaped quotes and CRLF line breaks", () => {
+        expect(parseCSV('a,"b,c","say ""hi"""\r\n1,2,3\r\n\r\n')).toEqual([['a', 'b,c', 'say "hi"'], ['1', '2', '3']]);
+    });
+});
+
+describe("Player import", () => {
+    test("should map Basketball-Reference columns to the data.json fields", () => {
+        const [player] = importPlayers(csv(embiid));
+
+        expect(player).toEqual({
+            id: 1, player: 'Joel Embiid', age: 29, team: 'PHI', pos: 'C', games: 39, GS: 39, MP: 33.6,
+            fga: 21.8, fg_pct: 0.529, three_p: 1.4, fta: 11.6, ft_pct: 0.883,
+            rpg: 11, apg: 5.6, spg: 1.2, bpg: 1.7, tos: 3.8, ppg: 34.7,
+        });
+    });
+
+    test("should keep only the season total row of a traded player", () => {
+        const players = importPlayers(csv(
+            '2,Dennis Schröder,30,2TM,PG,80,51,29.1,4.9,11.5,.431,1.8,5.0,.359,2.3,2.6,.866,2.9,5.4,0.9,0.2,2.0,1.9,13.9,,schrode01',
+            '2,Dennis Schröder,30,TOR,PG,51,33,30.1,5.0,11.7,.429,1.8,5.1,.353,2.5,2.9,.849,3.0,6.1,1.0,0.2,2.2,2.0,14.3,,schrode01',
+            '2,Dennis Schröder,30,BRK,PG,29,18,27.5,4.7,11.2,.421,1.7,4.8,.371,2.1,2.2,.909,2.7,4.1,0.8,0.2,1.7,1.8,13.2,,schrode01',
+        ));
+
+        expect(players).toHaveLength(1);
+        expect(players[0]).toMatchObject({ team: '2TM', games: 80, ppg: 13.9 });
+    });
+
+    test("should combine a traded player's team rows when there is no total row", () => {
+        const [player] = importPlayers(csv(
+            '2,Traded Guard,25,TOR,PG,30,0,20,3,8,.500,1,2,.5,1,2,.800,3,4,1,0,1,1,10,,tradegu01',
+            '2,Traded Guard,25,BRK,PG,10,0,20,3,4,.250,1,2,.5,0,0,,3,4,1,0,1,1,2,,tradegu01',
+        ));
+
+        expect(player).toMatchObject({ team: '2TM', games: 40, ppg: 8, fga: 7, fta: 1.5 });
+        // made shots over attempts across both teams: (30 * 8 * .5 + 10 * 4 * .25) / (30 * 8 + 10 * 4).
+        expect(player.fg_pct).toBeCloseTo(0.464, 3);
+        expect(player.ft_pct).toBeCloseTo(0.8, 3);
+    });
+
+    test("should skip repeated headers and the league average row", () => {
+        const players = importPlayers(csv(embiid, HEADER, ',League Average,26.6,,,,,,,,,,,,,,,,,,,,,,,'));
+
+        expect(players.map(player => player.player)).toEqual(['Joel Embiid']);
+    });
+
+    test("should keep the IDs of players in the previous pool and number new players after them", () => {
+        const previous = [{ ...playerData[0], id: 7 }, { ...playerData[1], id: 12 }];
+        const players = importPlayers(csv(
+            '1,New Guy,22,SAS,SF,3,0,5.0,0.3,1.0,.333,0.0,0.3,.000,0.0,0.0,,0.7,0.3,0.0,0.0,0.0,0.3,0.7,,newgu01',
+            embiid,
+        ), previous);
+
+        expect(players.map(player => [player.player, player.id])).toEqual([['New Guy', 13], ['Joel Embiid', 7]]);
+    });
+
+    test("should name missing columns", () => {
+        expect(() => importPlayers('Player,Team,Pos\nJoel Embiid,PHI,C')).toThrow('The CSV is missing the G, FGA, FG%, 3P, FTA, FT%, TRB, AST, STL, BLK, TOV, PTS columns.');
+    });
+
+    test("should list every invalid value with its line", () => {
+        let error;
+        try {
+            importPlayers(csv(embiid.replace('.529', '52.9').replace(',39,39,', ',x,39,')));
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.errors).toEqual([
+            'Line 2 (Joel Embiid): G must be a number, not "x".',
+            'Joel Embiid (id 1): games must be a whole number of at least 1.',
+            'Joel Embiid (id 1): fg_pct must be between 0 and 1, not 52.9.',
+        ]);
+        expect(error.message).toMatch(/^The CSV has 3 problems:\n/);
+    });
+});
+
+describe("Player validation", () => {
+    test("should accept the bundled player data", () => {
+        expect(validatePlayers(playerData)).toEqual([]);
+    });
+
+    test("should catch duplicate players, G instead of games and percentages without attempts", () => {
+        const { games, ...withG } = playerData[1];
+        const errors = validatePlayers([
+            playerData[0],
+            { ...playerData[0], id: 999 },
+            { ...withG, G: games },
+            { ...playerData[2], ft_pct: null },
+        ]);
+
+        expect(errors).toEqual([
+            'Joel Embiid (id 999): listed more than once. Keep only their season total row.',
+            `${playerData[1].player} (id ${playerData[1].id}): games played must be in games, not G.`,
+            `${playerData[2].player} (id ${playerData[2].id}): ft_pct is missing but fta is ${playerData[2].fta}.`,
+        ]);
+    });
+});
+
+describe("Pool size warning", () => {
+    test("should warn only when the pool cannot fill every roster", () => {
+        expect(poolSizeWarning(572, 20, 20)).toBeNull();
+        expect(poolSizeWarning(300, 20, 16)).toBe('The player pool has 300 players, but 20 teams of 16 need 320. Some roster spots will stay empty.');
+    });
+});
@@ -0,0 +1,31 @@
+const { createRandom, generateSeed } = require('../src/random');
+
+describe("Seeded random", () => {
+    test("should repeat the same sequence for the same seed", () => {
+        const first = createRandom('embiid');
+        const second = createRandom('embiid');
+        const sequence = Array.from({ length: 20 }, () => first.next());
+
+        expect(Array.from({ length: 20 }, () => second.next())).toEqual(sequence);
+        sequence.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    test("should differ between seeds", () => {
+        expect(createRandom('embiid').next()).not.toBe(createRandom('jokic').next());
+    });
+
+    test("should generate a seed when none is given", () => {
+        expect(createRandom().seed).toHaveLength(8);
+        expect(createRandom('').seed).toHaveLength(8);
+        expect(createRandom(42).seed).toBe('42');
+        expect(typeof generateSeed()).toBe('string');
+    });
+
+    test("should shuffle without losing elements", () => {
+        const shuffled = createRandom('seed').shuffle([1, 2, 3, 4, 5, 6]);
+        expect([...shuffled].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+});